@@ -5,6 +5,7 @@ import HomePage from './pages/HomePage'
 import UploadPage from './pages/UploadPage'
 import SchedulePage from './pages/SchedulePage'
 import ExportPage from './pages/ExportPage'
+import ChangeLogPage from './pages/ChangeLogPage'
 
 function App() {
   return (
@@ -15,6 +16,7 @@ function App() {
           <Route path="/upload" element={<UploadPage />} />
           <Route path="/schedule" element={<SchedulePage />} />
           <Route path="/export" element={<ExportPage />} />
+          <Route path="/changes" element={<ChangeLogPage />} />
         </Routes>
       </Layout>
     </div>
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Ban, X } from 'lucide-react';
+
+const dayLabels = {
+  Saturday: 'السبت',
+  Sunday: 'الأحد',
+  Monday: 'الاثنين',
+  Tuesday: 'الثلاثاء',
+  Wednesday: 'الأربعاء',
+  Thursday: 'الخميس',
+  Friday: 'الجمعة'
+};
+
+// Text of a blocked window ({ day, from_slot, to_slot }) using the timetable's time slots
+export const describeBlockedWindow = (window, timeSlots = []) => {
+  const day = dayLabels[window.day] || window.day;
+  if (!window.from_slot && !window.to_slot) return `${day} (اليوم كاملاً)`;
+
+  const fromSlot = window.from_slot || 1;
+  const toSlot = window.to_slot || timeSlots.length;
+  const from = timeSlots[fromSlot - 1]?.split(' - ')[0] || `الفترة ${fromSlot}`;
+  const to = timeSlots[toSlot - 1]?.split(' - ')[1] || `الفترة ${toSlot}`;
+  return `${day} ${from} - ${to}`;
+};
+
+/**
+ * Blocked Windows Editor Component
+ * Lets the student block whole days or slot ranges; the generator never places a session in them
+ */
+const BlockedWindowsEditor = ({ windows, onChange, timeSlots = [] }) => {
+  const [day, setDay] = useState('Sunday');
+  const [wholeDay, setWholeDay] = useState(false);
+  const [fromSlot, setFromSlot] = useState(1);
+  const [toSlot, setToSlot] = useState(1);
+
+  const handleAdd = () => {
+    const window = wholeDay
+      ? { day }
+      : { day, from_slot: Math.min(fromSlot, toSlot), to_slot: Math.max(fromSlot, toSlot) };
+    onChange([...windows, window]);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={day}
+          onChange={(e) => setDay(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          {Object.entries(dayLabels).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={wholeDay}
+            onChange={(e) => setWholeDay(e.target.checked)}
+            className="h-4 w-4 ml-1"
+          />
+          اليوم كاملاً
+        </label>
+
+        {!wholeDay && timeSlots.length > 0 && (
+          <>
+            <span className="text-sm text-gray-600">من</span>
+            <select
+              value={fromSlot}
+              onChange={(e) => setFromSlot(parseInt(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {timeSlots.map((slot, index) => (
+                <option key={index} value={index + 1}>{slot.split(' - ')[0]}</option>
+              ))}
+            </select>
+            <span className="text-sm text-gray-600">إلى</span>
+            <select
+              value={toSlot}
+              onChange={(e) => setToSlot(parseInt(e.target.value))}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {timeSlots.map((slot, index) => (
+                <option key={index} value={index + 1}>{slot.split(' - ')[1]}</option>
+              ))}
+            </select>
+          </>
+        )}
+
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!wholeDay && timeSlots.length === 0}
+          className="px-3 py-1 bg-gray-700 text-white rounded-md text-sm hover:bg-gray-800 disabled:opacity-50"
+        >
+          حجز
+        </button>
+      </div>
+
+      {windows.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {windows.map((window, index) => (
+            <span
+              key={index}
+              className="inline-flex items-center bg-gray-100 text-gray-800 px-3 py-1 rounded-full text-sm"
+            >
+              <Ban className="h-3 w-3 ml-1 text-red-500" />
+              {describeBlockedWindow(window, timeSlots)}
+              <button
+                type="button"
+                onClick={() => onChange(windows.filter((_, other) => other !== index))}
+                className="mr-2 text-gray-500 hover:text-gray-700"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlockedWindowsEditor;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { ThumbsUp, ThumbsDown, X } from 'lucide-react';
+
+// Text of an instructor rule ({ instructor, course_code, mode, hard })
+export const describeInstructorRule = (rule) => {
+  const action = rule.mode === 'avoid'
+    ? (rule.hard ? 'عدم الدراسة مع' : 'تجنب')
+    : (rule.hard ? 'الدراسة فقط مع' : 'تفضيل');
+  return `${action} ${rule.instructor}${rule.course_code ? ` في ${rule.course_code}` : ''}`;
+};
+
+/**
+ * Instructor Preferences Editor Component
+ * Preferred or avoided instructors, for one course or every course; a strict rule rules
+ * groups out, otherwise it only counts towards the instructors preference weight
+ */
+const InstructorPreferencesEditor = ({ rules, onChange, instructors = [], courseCodes = [] }) => {
+  const [instructor, setInstructor] = useState('');
+  const [courseCode, setCourseCode] = useState('');
+  const [mode, setMode] = useState('prefer');
+  const [hard, setHard] = useState(false);
+
+  const handleAdd = () => {
+    const name = instructor.trim();
+    if (!name) return;
+
+    onChange([...rules, { instructor: name, course_code: courseCode || null, mode, hard }]);
+    setInstructor('');
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          list="instructor-preferences-options"
+          value={instructor}
+          onChange={(e) => setInstructor(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="اسم عضو هيئة التدريس"
+          className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+        />
+        <datalist id="instructor-preferences-options">
+          {instructors.map(record => (
+            <option key={record.id} value={record.name} />
+          ))}
+        </datalist>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value="prefer">تفضيل</option>
+          <option value="avoid">تجنب</option>
+        </select>
+
+        <select
+          value={courseCode}
+          onChange={(e) => setCourseCode(e.target.value)}
+          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        >
+          <option value="">كل المقررات</option>
+          {courseCodes.map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={hard}
+            onChange={(e) => setHard(e.target.checked)}
+            className="h-4 w-4 ml-1"
+          />
+          شرط إلزامي
+        </label>
+
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!instructor.trim()}
+          className="px-3 py-1 bg-gray-700 text-white rounded-md text-sm hover:bg-gray-800 disabled:opacity-50"
+        >
+          إضافة
+        </button>
+      </div>
+
+      {rules.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {rules.map((rule, index) => (
+            <span
+              key={index}
+              className={`inline-flex items-center px-3 py-1 rounded-full text-sm ${
+                rule.mode === 'avoid' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'
+              }`}
+            >
+              {rule.mode === 'avoid'
+                ? <ThumbsDown className="h-3 w-3 ml-1" />
+                : <ThumbsUp className="h-3 w-3 ml-1" />}
+              {describeInstructorRule(rule)}
+              <button
+                type="button"
+                onClick={() => onChange(rules.filter((_, other) => other !== index))}
+                className="mr-2 text-gray-500 hover:text-gray-700"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstructorPreferencesEditor;
@@ -5,6 +5,7 @@ import {
   Calendar, 
   Download, 
   Home,
+  History,
   Settings,
   Menu,
   X
@@ -19,6 +20,7 @@ const Layout = ({ children }) => {
     { name: 'رفع الملف', href: '/upload', icon: FileSpreadsheet },
     { name: 'إنشاء الجدول', href: '/schedule', icon: Calendar },
     { name: 'تصدير الجدول', href: '/export', icon: Download },
+    { name: 'سجل التغييرات', href: '/changes', icon: History },
   ]
 
   const isActivePath = (path) => {
@@ -2,8 +2,21 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Calendar, BookOpen, Clock, MapPin, User, CheckCircle, AlertCircle } from 'lucide-react';
 import { scheduleAPI } from '../services/api';
+import BlockedWindowsEditor, { describeBlockedWindow } from './BlockedWindowsEditor';
+import PreferenceWeightsEditor, { defaultPreferences } from './PreferenceWeightsEditor';
+import InstructorPreferencesEditor, { describeInstructorRule } from './InstructorPreferencesEditor';
 import toast from 'react-hot-toast';
 
+const arabicDayNames = {
+  Saturday: 'السبت',
+  Sunday: 'الأحد',
+  Monday: 'الاثنين',
+  Tuesday: 'الثلاثاء',
+  Wednesday: 'الأربعاء',
+  Thursday: 'الخميس',
+  Friday: 'الجمعة'
+};
+
 /**
  * Personalized Schedule Generator Component
  * Allows users to input course codes and generates a weekly schedule table
@@ -11,25 +24,21 @@ import toast from 'react-hot-toast';
 const PersonalizedScheduleGenerator = ({ parsedData }) => {
   const [courseInput, setCourseInput] = useState('');
   const [selectedCourses, setSelectedCourses] = useState([]);
+  const [blockedWindows, setBlockedWindows] = useState([]);
+  const [preferences, setPreferences] = useState(defaultPreferences);
+  const [instructorPreferences, setInstructorPreferences] = useState([]);
   const [generatedSchedule, setGeneratedSchedule] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [validationErrors, setValidationErrors] = useState([]);
+  const [conflictExplanation, setConflictExplanation] = useState(null);
 
   // Extract courseGroups from parsedData
   const courseGroups = parsedData?.course_groups || [];
 
-  // Days and time slots for the weekly table
+  // Days for the weekly table; time slots come from the layout detected in the uploaded sheet
   const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const timeSlots = [
-    '9.00 - 9.45',
-    '9.45 - 10.30', 
-    '10.40 - 11.25',
-    '11.25 - 12.10',
-    '12.20 - 1.05',
-    '1.05 - 1.50',
-    '2.00 - 2.45',
-    '2.45 - 3.30'
-  ];
+  const timeSlots = generatedSchedule?.weekly_table?.structure?.time_slots ||
+    parsedData?.slot_layout?.slots?.map(slot => slot.time) || [];
 
   const handleAddCourse = () => {
     if (!courseInput.trim()) return;
@@ -62,22 +71,28 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
 
     setIsGenerating(true);
     setValidationErrors([]);
+    setConflictExplanation(null);
 
     try {
       const userRequest = {
-        desired_courses: selectedCourses
+        desired_courses: selectedCourses,
+        blocked_windows: blockedWindows,
+        preferences,
+        instructor_preferences: instructorPreferences
       };
 
       console.log('🎯 Generating personalized schedule for:', selectedCourses);
       console.log('📊 Course groups available:', courseGroups.length);
       console.log('📝 First few course groups:', courseGroups.slice(0, 3));
       
-      const response = await scheduleAPI.generatePersonalized(courseGroups, userRequest);
+      const response = await scheduleAPI.generatePersonalized(courseGroups, userRequest, {
+        slot_layout: parsedData?.slot_layout
+      });
       
       console.log('✅ API Response:', response);
       
       if (response.data.success) {
-        setGeneratedSchedule(response.data.schedule);
+        setGeneratedSchedule(response.data.data);
         toast.success('تم إنشاء الجدول الشخصي بنجاح!');
       } else {
         setValidationErrors(response.data.validation_errors || []);
@@ -85,18 +100,24 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
       }
     } catch (error) {
       console.error('❌ Schedule generation error:', error);
-      setValidationErrors(error.response?.data?.validation_errors || []);
+      setGeneratedSchedule(null);
+      setValidationErrors(error.response?.data?.error?.validation_errors || []);
+      setConflictExplanation(error.response?.data?.error?.conflict_explanation || null);
       toast.error(error.response?.data?.error?.message || 'حدث خطأ في إنشاء الجدول');
     } finally {
       setIsGenerating(false);
     }
   };
 
-  const renderCourseBlock = (cell) => {
+  const renderCourseBlock = (cell, key) => {
     if (!cell || cell.is_continuation) return null;
 
     return (
-      <div className="bg-blue-50 border border-blue-200 rounded p-1 text-xs h-full">
+      <div
+        key={key}
+        className="bg-blue-50 border border-blue-200 rounded p-1 text-xs h-full"
+        title={cell.source?.raw_rows?.join('\n')}
+      >
         {/* Row 1: Course Code + Groups */}
         <div className="font-bold text-blue-800 text-center">
           {cell.row1_course_info.display_text}
@@ -111,6 +132,32 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
         <div className="text-blue-500 text-center mt-1 text-[10px]">
           {cell.row3_details.display_text || 'القاعة - الأستاذ'}
         </div>
+
+        {/* Week pattern (odd/even weeks, week range) */}
+        {cell.week_pattern?.display_text && (
+          <div className="text-amber-700 text-center mt-1 text-[10px] font-medium">
+            {cell.week_pattern.display_text}
+          </div>
+        )}
+
+        {/* Cell reference in the official spreadsheet */}
+        {cell.source?.range && (
+          <div className="text-gray-400 text-center mt-1 text-[9px] font-mono" dir="ltr">
+            {cell.source.sheet_name.trim()}!{cell.source.range}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Sessions in alternating weeks share a cell; show every block that starts in it
+  const renderCell = (cell) => {
+    if (!cell) return null;
+    const blocks = [cell, ...(cell.overlapping_blocks || [])];
+
+    return (
+      <div className="space-y-1 h-full">
+        {blocks.map((block, index) => renderCourseBlock(block, index))}
       </div>
     );
   };
@@ -148,7 +195,7 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
                   const cell = generatedSchedule.weekly_table.schedule[day]?.[slotIndex];
                   return (
                     <td key={slotIndex} className="border border-gray-300 p-1 relative">
-                      {renderCourseBlock(cell)}
+                      {renderCell(cell)}
                     </td>
                   );
                 })}
@@ -209,6 +256,42 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
           </div>
         )}
 
+        {/* Blocked Windows */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            أوقات محجوزة (لن توضع فيها أي محاضرة)
+          </label>
+          <BlockedWindowsEditor
+            windows={blockedWindows}
+            onChange={setBlockedWindows}
+            timeSlots={parsedData?.slot_layout?.slots?.map(slot => slot.time) || []}
+          />
+        </div>
+
+        {/* Preference Weights (decide which group is tried first for each course) */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            أهمية كل تفضيل عند اختيار المجموعات (0 - 10)
+          </label>
+          <PreferenceWeightsEditor
+            preferences={preferences}
+            onChange={setPreferences}
+          />
+        </div>
+
+        {/* Instructor Preferences */}
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            أعضاء هيئة التدريس
+          </label>
+          <InstructorPreferencesEditor
+            rules={instructorPreferences}
+            onChange={setInstructorPreferences}
+            instructors={parsedData?.instructor_index || []}
+            courseCodes={[...new Set(courseGroups.map(group => group.course_code))].sort()}
+          />
+        </div>
+
         {/* Generate Button */}
         <button
           onClick={generatePersonalizedSchedule}
@@ -240,11 +323,61 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
             <AlertCircle className="h-5 w-5 text-red-600 ml-2" />
             <h4 className="font-semibold text-red-800">أخطاء في التحقق:</h4>
           </div>
-          <ul className="list-disc list-inside space-y-1">
-            {validationErrors.map((error, index) => (
-              <li key={index} className="text-red-700 text-sm">{error}</li>
-            ))}
-          </ul>
+          {conflictExplanation?.blocked_windows?.length > 0 || conflictExplanation?.instructor_rules?.length > 0 ? (
+            <ul className="list-disc list-inside space-y-1 text-sm text-red-700">
+              {conflictExplanation.blocked_windows.map((course, index) => (
+                <li key={`window-${index}`}>
+                  {'كل مجموعات '}
+                  <span dir="ltr">{course.course_code}</span>
+                  {' تقع في أوقات محجوزة: '}
+                  {course.windows.map(window => describeBlockedWindow(window, timeSlots)).join('، ')}
+                </li>
+              ))}
+              {(conflictExplanation.instructor_rules || []).map((course, index) => (
+                <li key={`instructor-${index}`}>
+                  {'لا توجد مجموعة من '}
+                  <span dir="ltr">{course.course_code}</span>
+                  {' توافق شروط أعضاء هيئة التدريس: '}
+                  {course.rules.map(describeInstructorRule).join('، ')}
+                </li>
+              ))}
+            </ul>
+          ) : conflictExplanation ? (
+            <div className="text-sm text-red-700">
+              <p className="mb-2">
+                {conflictExplanation.limit_reached
+                  ? 'تعذّر إيجاد مجموعات بدون تعارض ضمن حد البحث للمقررات:'
+                  : 'لا توجد مجموعات لهذه المقررات بدون تعارض:'}{' '}
+                <span dir="ltr">{conflictExplanation.courses.join('، ')}</span>
+              </p>
+              {conflictExplanation.fixed_groups.length > 0 && (
+                <p className="mb-2">
+                  المجموعات المحددة: <span dir="ltr">{conflictExplanation.fixed_groups.join('، ')}</span>
+                </p>
+              )}
+              <ul className="list-disc list-inside space-y-1">
+                {conflictExplanation.clashes.map((clash, index) => (
+                  <li key={index}>
+                    <span dir="ltr">{clash.first.course_code} {clash.first.group_code}</span>
+                    {' تتعارض مع '}
+                    <span dir="ltr">{clash.second.course_code} {clash.second.group_code}</span>
+                    {` يوم ${arabicDayNames[clash.first.day_of_week] || clash.first.day_of_week} الساعة ${clash.first.start_time}`}
+                  </li>
+                ))}
+              </ul>
+              {conflictExplanation.total_clashes > conflictExplanation.clashes.length && (
+                <p className="mt-1 text-xs">
+                  و{conflictExplanation.total_clashes - conflictExplanation.clashes.length} تعارضات أخرى
+                </p>
+              )}
+            </div>
+          ) : (
+            <ul className="list-disc list-inside space-y-1">
+              {validationErrors.map((error, index) => (
+                <li key={index} className="text-red-700 text-sm">{error}</li>
+              ))}
+            </ul>
+          )}
         </motion.div>
       )}
 
@@ -262,13 +395,25 @@ const PersonalizedScheduleGenerator = ({ parsedData }) => {
             </h3>
             <div className="text-sm text-gray-600">
               إجمالي المقررات: {generatedSchedule.course_selection?.length || 0} |
-              إجمالي الفترات: {generatedSchedule.generation_metadata?.total_spans || 0}
+              إجمالي الفترات: {generatedSchedule.generation_metadata?.total_spans || 0} |
+              الساعات المعتمدة: {generatedSchedule.generation_metadata?.total_credits || 0}
             </div>
           </div>
 
           {/* Weekly Schedule Table */}
           {renderWeeklyTable()}
 
+          {/* Chosen groups and who teaches them */}
+          <div className="mt-4 flex flex-wrap gap-2 text-sm">
+            {generatedSchedule.course_selection?.map((course, index) => (
+              <span key={index} className="inline-flex items-center bg-gray-100 text-gray-800 px-3 py-1 rounded-full">
+                <User className="h-3 w-3 ml-1" />
+                <span dir="ltr">{course.course_code} {course.group_number}</span>
+                {course.instructors?.length > 0 && `: ${course.instructors.map(instructor => instructor.name).join('، ')}`}
+              </span>
+            ))}
+          </div>
+
           {/* Schedule Metadata */}
           {generatedSchedule.span_validation && (
             <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
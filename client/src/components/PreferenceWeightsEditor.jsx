@@ -0,0 +1,64 @@
+import React from 'react';
+
+// Soft preferences the generator scores candidates by (same keys as the server's UserRequest)
+export const preferenceLabels = {
+  fewer_days: 'أقل عدد أيام حضور',
+  fewer_gaps: 'أقل فراغات بين المحاضرات',
+  mornings: 'المحاضرات الصباحية',
+  afternoons: 'المحاضرات المسائية',
+  instructors: 'تفضيلات أعضاء هيئة التدريس',
+  balanced_load: 'توزيع متوازن على الأيام'
+};
+
+// Fixed ranking criteria reported in a candidate's score breakdown
+export const rankingLabels = {
+  courses: 'المقررات المضافة',
+  requested_courses: 'المقررات المطلوبة المضافة',
+  credit_usage: 'نسبة الساعات المستخدمة',
+  omitted_courses: 'المقررات غير المضافة',
+  preferred_groups: 'المجموعات المفضلة'
+};
+
+export const defaultPreferences = {
+  weights: {
+    fewer_days: 0,
+    fewer_gaps: 3,
+    mornings: 0,
+    afternoons: 0,
+    instructors: 5,
+    balanced_load: 2
+  }
+};
+
+/**
+ * Preference Weights Editor Component
+ * A 0-10 weight per soft preference
+ */
+const PreferenceWeightsEditor = ({ preferences, onChange }) => {
+  const setWeight = (criterion, weight) => {
+    onChange({ ...preferences, weights: { ...preferences.weights, [criterion]: weight } });
+  };
+
+  return (
+    <div className="space-y-3">
+      {Object.entries(preferenceLabels).map(([criterion, label]) => (
+        <div key={criterion}>
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>{label}</span>
+            <span className="text-gray-500">{preferences.weights[criterion] ?? 0}</span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="10"
+            value={preferences.weights[criterion] ?? 0}
+            onChange={(e) => setWeight(criterion, parseInt(e.target.value))}
+            className="w-full"
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PreferenceWeightsEditor;
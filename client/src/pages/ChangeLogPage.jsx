@@ -0,0 +1,263 @@
+import React, { useState } from 'react'
+import { useDropzone } from 'react-dropzone'
+import { motion } from 'framer-motion'
+import toast from 'react-hot-toast'
+import {
+  FileSpreadsheet,
+  GitCompare,
+  CheckCircle,
+  Loader2,
+  X
+} from 'lucide-react'
+import { excelAPI, formatFileSize } from '../services/api'
+
+const changeLabels = {
+  group_added: 'مجموعة جديدة',
+  group_removed: 'مجموعة محذوفة',
+  session_moved: 'تغيير الموعد',
+  span_changed: 'تغيير عدد الفترات',
+  room_changed: 'تغيير القاعة',
+  instructor_changed: 'تغيير المحاضر',
+  session_added: 'جلسة جديدة',
+  session_removed: 'جلسة محذوفة'
+}
+
+const changeColors = {
+  group_added: 'bg-green-100 text-green-800',
+  group_removed: 'bg-red-100 text-red-800',
+  session_moved: 'bg-blue-100 text-blue-800',
+  span_changed: 'bg-purple-100 text-purple-800',
+  room_changed: 'bg-yellow-100 text-yellow-800',
+  instructor_changed: 'bg-orange-100 text-orange-800',
+  session_added: 'bg-green-100 text-green-800',
+  session_removed: 'bg-red-100 text-red-800'
+}
+
+const arabicDayNames = {
+  Saturday: 'السبت',
+  Sunday: 'الأحد',
+  Monday: 'الاثنين',
+  Tuesday: 'الثلاثاء',
+  Wednesday: 'الأربعاء',
+  Thursday: 'الخميس',
+  Friday: 'الجمعة'
+}
+
+const formatSlot = (session) =>
+  `${arabicDayNames[session.day_of_week] || session.day_of_week} ${session.start_time}`
+
+const describeChange = (change) => {
+  const { type, before, after } = change
+
+  switch (type) {
+    case 'group_added':
+      return `${after.sessions.length} جلسة`
+    case 'group_removed':
+      return `${before.sessions.length} جلسة`
+    case 'session_moved':
+      return `من ${formatSlot(before)} إلى ${formatSlot(after)}`
+    case 'span_changed':
+      return `من ${before.span} إلى ${after.span} فترات (${formatSlot(change.session)})`
+    case 'room_changed':
+      return `من ${before.location || '—'} إلى ${after.location || '—'} (${formatSlot(change.session)})`
+    case 'instructor_changed':
+      return `من ${before.instructor || '—'} إلى ${after.instructor || '—'} (${formatSlot(change.session)})`
+    case 'session_added':
+      return `${formatSlot(after)} • ${after.location || '—'}`
+    case 'session_removed':
+      return `${formatSlot(before)} • ${before.location || '—'}`
+    default:
+      return ''
+  }
+}
+
+// Cell reference of the changed session in the newer (or, when removed, the older) spreadsheet
+const sourceReference = (change) => {
+  const session = change.session || change.after || change.before
+  return session?.range ? `${session.sheet_name.trim()}!${session.range}` : ''
+}
+
+const TimetableFilePicker = ({ label, file, onChange }) => {
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop: (acceptedFiles) => acceptedFiles.length > 0 && onChange(acceptedFiles[0]),
+    accept: {
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'application/vnd.ms-excel.sheet.macroEnabled.12': ['.xlsm'],
+      'application/vnd.oasis.opendocument.spreadsheet': ['.ods'],
+      'text/csv': ['.csv']
+    },
+    maxSize: 10 * 1024 * 1024, // 10MB
+    multiple: false
+  })
+
+  return (
+    <div className="card">
+      <h3 className="text-sm font-semibold text-gray-700 mb-3">{label}</h3>
+      {file ? (
+        <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+          <div className="flex items-center">
+            <FileSpreadsheet className="h-6 w-6 text-green-600 ml-2" />
+            <div>
+              <div className="text-sm font-medium text-gray-900">{file.name}</div>
+              <div className="text-xs text-gray-500">{formatFileSize(file.size)}</div>
+            </div>
+          </div>
+          <button onClick={() => onChange(null)} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+      ) : (
+        <div
+          {...getRootProps()}
+          className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
+            ${isDragActive ? 'border-primary-500 bg-primary-50' : 'border-gray-300 hover:border-primary-400'}`}
+        >
+          <input {...getInputProps()} />
+          <FileSpreadsheet className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-600">اسحب الملف هنا أو انقر للاختيار</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const ChangeLogPage = () => {
+  const [previousFile, setPreviousFile] = useState(null)
+  const [currentFile, setCurrentFile] = useState(null)
+  const [comparing, setComparing] = useState(false)
+  const [diff, setDiff] = useState(null)
+
+  const handleCompare = async () => {
+    if (!previousFile || !currentFile) return
+
+    setComparing(true)
+    const formData = new FormData()
+    formData.append('previousFile', previousFile)
+    formData.append('currentFile', currentFile)
+
+    try {
+      const response = await excelAPI.diffFiles(formData)
+      setDiff(response.data.data)
+      toast.success('تمت مقارنة النسختين')
+    } catch (error) {
+      console.error('Diff error:', error)
+      toast.error(error.response?.data?.error?.message || 'فشل في مقارنة الملفين')
+    } finally {
+      setComparing(false)
+    }
+  }
+
+  // Group the change log by course group, in the order the server sorted it
+  const changesByGroup = (diff?.changes || []).reduce((groups, change) => {
+    const key = `${change.course_code} - ${change.group_code}`
+    if (!groups[key]) groups[key] = { course_name: change.course_name, changes: [] }
+    groups[key].changes.push(change)
+    return groups
+  }, {})
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div className="text-center">
+        <h1 className="text-3xl font-bold text-gray-900 mb-4">
+          سجل تغييرات الجدول
+        </h1>
+        <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+          قارن بين نسختين من ملف الجدول الدراسي لمعرفة ما تغيّر في المواعيد والقاعات والمحاضرين
+        </p>
+      </div>
+
+      {/* File Pickers */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <TimetableFilePicker label="النسخة السابقة" file={previousFile} onChange={setPreviousFile} />
+        <TimetableFilePicker label="النسخة الجديدة" file={currentFile} onChange={setCurrentFile} />
+      </div>
+
+      <div className="flex justify-center">
+        <button
+          onClick={handleCompare}
+          disabled={!previousFile || !currentFile || comparing}
+          className="btn btn-primary"
+        >
+          {comparing ? (
+            <>
+              <Loader2 className="ml-2 h-4 w-4 animate-spin" />
+              جاري المقارنة...
+            </>
+          ) : (
+            <>
+              <GitCompare className="ml-2 h-4 w-4" />
+              مقارنة النسختين
+            </>
+          )}
+        </button>
+      </div>
+
+      {/* Change Log */}
+      {diff && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="space-y-6"
+        >
+          {!diff.has_changes ? (
+            <div className="text-center bg-green-50 border border-green-200 rounded-lg p-6">
+              <CheckCircle className="h-12 w-12 text-green-600 mx-auto mb-4" />
+              <h2 className="text-xl font-bold text-green-900">لا توجد تغييرات بين النسختين</h2>
+            </div>
+          ) : (
+            <>
+              <div className="card">
+                <div className="flex flex-wrap gap-2">
+                  {Object.keys(changeLabels)
+                    .filter(type => diff.summary[type] > 0)
+                    .map(type => (
+                      <span key={type} className={`px-3 py-1 rounded-full text-sm font-medium ${changeColors[type]}`}>
+                        {changeLabels[type]}: {diff.summary[type]}
+                      </span>
+                    ))}
+                </div>
+                <p className="text-sm text-gray-600 mt-3">
+                  {diff.summary.total_changes} تغيير في {diff.summary.groups_changed} مجموعة
+                </p>
+              </div>
+
+              <div className="card">
+                <div className="space-y-4">
+                  {Object.entries(changesByGroup).map(([groupKey, group]) => (
+                    <div key={groupKey} className="border-b border-gray-100 pb-3 last:border-0">
+                      <div className="font-medium text-gray-900 mb-2">
+                        <span dir="ltr">{groupKey}</span>
+                        {group.course_name && (
+                          <span className="mr-2 text-sm text-gray-500">{group.course_name}</span>
+                        )}
+                      </div>
+                      <div className="space-y-1">
+                        {group.changes.map((change, index) => (
+                          <div key={index} className="flex items-center text-sm">
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium ml-3 ${changeColors[change.type]}`}>
+                              {changeLabels[change.type]}
+                            </span>
+                            <span className="text-gray-700">{describeChange(change)}</span>
+                            {sourceReference(change) && (
+                              <span className="mr-auto font-mono text-xs text-gray-400" dir="ltr">
+                                {sourceReference(change)}
+                              </span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </motion.div>
+      )}
+    </div>
+  )
+}
+
+export default ChangeLogPage
@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import api from '../services/api';
+import { scheduleAPI } from '../services/api';
 import PersonalizedScheduleGenerator from '../components/PersonalizedScheduleGenerator';
+import BlockedWindowsEditor, { describeBlockedWindow } from '../components/BlockedWindowsEditor';
+import PreferenceWeightsEditor, { defaultPreferences, preferenceLabels, rankingLabels } from '../components/PreferenceWeightsEditor';
+import InstructorPreferencesEditor, { describeInstructorRule } from '../components/InstructorPreferencesEditor';
 
 const SchedulePage = () => {
   const location = useLocation();
@@ -9,14 +12,18 @@ const SchedulePage = () => {
   const [loading, setLoading] = useState(false);
   const [schedules, setSchedules] = useState([]);
   const [selectedSchedule, setSelectedSchedule] = useState(null);
+  const [timeSlots, setTimeSlots] = useState([]);
   const [activeTab, setActiveTab] = useState('auto'); // 'auto' or 'manual'
   const [userPreferences, setUserPreferences] = useState({
     preferredCourses: [],
     avoidedTimeSlots: [],
     maxCoursesPerDay: 4,
-    preferMorningClasses: false
+    preferences: defaultPreferences,
+    instructorPreferences: [],
+    blockedWindows: []
   });
   const [error, setError] = useState(null);
+  const [errorOmittedCourses, setErrorOmittedCourses] = useState([]);
 
   // Get parsed data from navigation state or sessionStorage
   const { parsedData: navigationParsedData, normalizationReport } = location.state || {};
@@ -63,19 +70,30 @@ const SchedulePage = () => {
 
     setLoading(true);
     setError(null);
+    setErrorOmittedCourses([]);
 
     try {
-      const response = await api.generateSchedules({
-        courseGroups: parsedData.course_groups || [],
-        preferences: userPreferences
+      // Without preferred courses the server picks among every course in the timetable
+      const response = await scheduleAPI.generate(parsedData.course_groups || [], {
+        desired_courses: userPreferences.preferredCourses,
+        blocked_windows: userPreferences.blockedWindows,
+        preferences: userPreferences.preferences,
+        instructor_preferences: userPreferences.instructorPreferences
+      }, {
+        slot_layout: parsedData.slot_layout
       });
 
-      setSchedules(response.schedules || []);
-      if (response.schedules && response.schedules.length > 0) {
-        setSelectedSchedule(response.schedules[0]);
-      }
+      const { candidates = [], time_slots = [] } = response.data.data;
+      setSchedules(candidates);
+      setTimeSlots(time_slots);
+      setSelectedSchedule(candidates[0] || null);
     } catch (err) {
-      setError(err.response?.data?.error || 'فشل في توليد الجداول');
+      setSchedules([]);
+      setSelectedSchedule(null);
+      setError(err.response?.data?.error?.message || 'فشل في توليد الجداول');
+      // When no schedule could be built, the server still says why each course was left out
+      setErrorOmittedCourses(err.response?.data?.error?.omitted_courses || []);
+      setTimeSlots(err.response?.data?.error?.time_slots || []);
     } finally {
       setLoading(false);
     }
@@ -197,17 +215,40 @@ const SchedulePage = () => {
                   />
                 </div>
 
-                {/* Prefer Morning Classes */}
+                {/* Preference Weights */}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    أهمية كل تفضيل (0 - 10)
+                  </label>
+                  <PreferenceWeightsEditor
+                    preferences={userPreferences.preferences}
+                    onChange={(preferences) => handlePreferenceChange('preferences', preferences)}
+                  />
+                </div>
+
+                {/* Instructor Preferences */}
                 <div className="mb-4">
-                  <label className="flex items-center">
-                    <input
-                      type="checkbox"
-                      checked={userPreferences.preferMorningClasses}
-                      onChange={(e) => handlePreferenceChange('preferMorningClasses', e.target.checked)}
-                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                    />
-                    <span className="mr-2 text-sm text-gray-700">تفضيل المحاضرات الصباحية</span>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    أعضاء هيئة التدريس
                   </label>
+                  <InstructorPreferencesEditor
+                    rules={userPreferences.instructorPreferences}
+                    onChange={(rules) => handlePreferenceChange('instructorPreferences', rules)}
+                    instructors={parsedData?.instructor_index || []}
+                    courseCodes={[...new Set((parsedData?.course_groups || []).map(group => group.course_code))].sort()}
+                  />
+                </div>
+
+                {/* Blocked Windows */}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    أوقات محجوزة (لن توضع فيها أي محاضرة)
+                  </label>
+                  <BlockedWindowsEditor
+                    windows={userPreferences.blockedWindows}
+                    onChange={(windows) => handlePreferenceChange('blockedWindows', windows)}
+                    timeSlots={parsedData?.slot_layout?.slots?.map(slot => slot.time) || []}
+                  />
                 </div>
 
                 {/* Preferred Courses */}
@@ -274,6 +315,11 @@ const SchedulePage = () => {
                       <div className="mt-2 text-sm text-red-700">{error}</div>
                     </div>
                   </div>
+                  {errorOmittedCourses.length > 0 && (
+                    <div className="mt-4">
+                      <OmittedCourses courses={errorOmittedCourses} timeSlots={timeSlots} />
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -293,7 +339,7 @@ const SchedulePage = () => {
                         >
                           {schedules.map((schedule, index) => (
                             <option key={index} value={index}>
-                              الجدول {index + 1} (نقاط: {schedule.score?.toFixed(2) || 'غير محدد'})
+                              الجدول {schedule.rank || index + 1} (نقاط: {schedule.score ?? 'غير محدد'} • {schedule.total_credits} ساعة)
                             </option>
                           ))}
                         </select>
@@ -309,8 +355,11 @@ const SchedulePage = () => {
 
                   {/* Schedule Grid */}
                   {selectedSchedule && (
-                    <div className="p-6">
-                      <ScheduleGrid schedule={selectedSchedule} />
+                    <div className="p-6 space-y-6">
+                      <ScheduleGrid schedule={selectedSchedule} timeSlots={timeSlots} />
+                      <SelectedGroups groups={selectedSchedule.selected_groups} />
+                      <ScoreBreakdown items={selectedSchedule.score_breakdown} />
+                      <OmittedCourses courses={selectedSchedule.omitted_courses} timeSlots={timeSlots} />
                     </div>
                   )}
                 </div>
@@ -335,62 +384,85 @@ const SchedulePage = () => {
   );
 };
 
-// Schedule Grid Component
-const ScheduleGrid = ({ schedule }) => {
-  const days = ['الأحد', 'الاثنين', 'الثلاثاء', 'الأربعاء', 'الخميس'];
-  const timeSlots = ['8:00', '9:00', '10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00'];
-
-  const getSessionAtTimeSlot = (day, timeSlot) => {
-    return schedule.sessions?.find(session => {
-      const sessionDay = session.dayOfWeek?.toLowerCase();
-      const dayMap = {
-        'الأحد': 'sunday',
-        'الاثنين': 'monday', 
-        'الثلاثاء': 'tuesday',
-        'الأربعاء': 'wednesday',
-        'الخميس': 'thursday'
-      };
-      
-      return dayMap[day] === sessionDay && 
-             session.startTime <= timeSlot && 
-             session.endTime > timeSlot;
-    });
-  };
+const dayLabels = {
+  Saturday: 'السبت',
+  Sunday: 'الأحد',
+  Monday: 'الاثنين',
+  Tuesday: 'الثلاثاء',
+  Wednesday: 'الأربعاء',
+  Thursday: 'الخميس',
+  Friday: 'الجمعة'
+};
+
+const omittedReasons = {
+  time_conflict: 'تتعارض كل مجموعاته مع مقررات الجدول',
+  credit_limit: 'تجاوز الحد الأقصى للساعات المعتمدة',
+  not_in_timetable: 'غير موجود في الجدول الدراسي',
+  group_not_found: 'المجموعة المطلوبة غير موجودة',
+  blocked_window: 'تقع كل مجموعاته في أوقات محجوزة',
+  instructor_rule: 'لا توجد مجموعة توافق شروط أعضاء هيئة التدريس'
+};
+
+// Schedule Grid Component: a candidate's sessions placed on the timetable's days and time slots
+const ScheduleGrid = ({ schedule, timeSlots }) => {
+  const sessions = schedule.selected_groups.flatMap(group =>
+    group.sessions
+      .filter(session => session.slot > 0)
+      .map(session => ({ ...session, course_code: group.course_code, group_code: group.group_code, course_name: group.course_name }))
+  );
+  const days = Object.keys(dayLabels).filter(day =>
+    day !== 'Friday' || sessions.some(session => session.day === 'Friday')
+  );
+
+  const getSessionsStartingAt = (day, slot) =>
+    sessions.filter(session => session.day === day && session.slot === slot);
+  const isCoveredByEarlierSession = (day, slot) =>
+    sessions.some(session => session.day === day && session.slot < slot && session.slot + session.span > slot);
 
   return (
     <div className="overflow-x-auto">
-      <table className="min-w-full divide-y divide-gray-200">
+      <table className="min-w-full border-collapse border border-gray-200 text-sm">
         <thead className="bg-gray-50">
           <tr>
-            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-              الوقت
+            <th className="border border-gray-200 px-3 py-2 text-right text-xs font-medium text-gray-500">
+              اليوم
             </th>
-            {days.map(day => (
-              <th key={day} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-                {day}
+            {timeSlots.map((slot, index) => (
+              <th key={index} className="border border-gray-200 px-3 py-2 text-center text-xs font-medium text-gray-500">
+                {slot}
               </th>
             ))}
           </tr>
         </thead>
-        <tbody className="bg-white divide-y divide-gray-200">
-          {timeSlots.map(timeSlot => (
-            <tr key={timeSlot}>
-              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                {timeSlot}
+        <tbody className="bg-white">
+          {days.map(day => (
+            <tr key={day}>
+              <td className="border border-gray-200 px-3 py-2 font-medium text-gray-900 whitespace-nowrap">
+                {dayLabels[day]}
               </td>
-              {days.map(day => {
-                const session = getSessionAtTimeSlot(day, timeSlot);
+              {timeSlots.map((_, index) => {
+                const slot = index + 1;
+                const startingSessions = getSessionsStartingAt(day, slot);
                 return (
-                  <td key={`${day}-${timeSlot}`} className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {session ? (
-                      <div className="bg-blue-100 border border-blue-200 rounded-md p-2">
-                        <div className="font-medium text-blue-900">{session.courseCode}</div>
-                        <div className="text-xs text-blue-700">{session.courseName}</div>
+                  <td
+                    key={slot}
+                    className={`border border-gray-200 p-1 align-top ${isCoveredByEarlierSession(day, slot) ? 'bg-blue-50' : ''}`}
+                  >
+                    {startingSessions.map((session, sessionIndex) => (
+                      <div key={sessionIndex} className="bg-blue-100 border border-blue-200 rounded-md p-2 mb-1 last:mb-0">
+                        <div className="font-medium text-blue-900" dir="ltr">{session.course_code} {session.group_code}</div>
+                        {session.span > 1 && (
+                          <div className="text-xs text-blue-500">{session.span} فترات</div>
+                        )}
+                        <div className="text-xs text-blue-700">{session.course_name}</div>
                         <div className="text-xs text-blue-600">
-                          {session.sessionType} - {session.location}
+                          {[session.room, session.professor].filter(Boolean).join(' - ')}
                         </div>
+                        {session.recurrence?.label && (
+                          <div className="text-xs text-amber-700">{session.recurrence.label}</div>
+                        )}
                       </div>
-                    ) : null}
+                    ))}
                   </td>
                 );
               })}
@@ -402,4 +474,81 @@ const ScheduleGrid = ({ schedule }) => {
   );
 };
 
+// The groups a candidate takes, with who teaches them
+const SelectedGroups = ({ groups = [] }) => (
+  <div className="border border-gray-200 rounded-md p-4">
+    <h3 className="text-sm font-medium text-gray-900 mb-2">المجموعات المختارة</h3>
+    <ul className="space-y-1 text-sm text-gray-700">
+      {groups.map(group => (
+        <li key={`${group.course_code}-${group.group_code}`}>
+          <span dir="ltr">{group.course_code} {group.group_code}</span>
+          {': '}
+          {group.instructors?.length > 0
+            ? group.instructors.map(instructor => [instructor.title, instructor.name].filter(Boolean).join(' ')).join('، ')
+            : 'غير محدد'}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Points behind a candidate's score: fixed ranking criteria, then the weighted preferences
+const ScoreBreakdown = ({ items = [] }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="border border-gray-200 rounded-md p-4">
+      <h3 className="text-sm font-medium text-gray-900 mb-2">تفاصيل النقاط</h3>
+      <table className="min-w-full text-sm">
+        <tbody>
+          {items.map(item => (
+            <tr key={item.criterion} className="border-t border-gray-100 first:border-t-0">
+              <td className="py-1 text-gray-700">
+                {(item.kind === 'preference' ? preferenceLabels : rankingLabels)[item.criterion] || item.criterion}
+              </td>
+              <td className="py-1 text-gray-500 text-xs">
+                {item.kind === 'preference'
+                  ? `تحقق ${Math.round(item.value * 100)}% × أهمية ${item.weight}`
+                  : `${item.value} × ${item.weight}`}
+              </td>
+              <td className={`py-1 text-left font-medium ${item.points < 0 ? 'text-red-600' : 'text-gray-900'}`} dir="ltr">
+                {item.points}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Requested courses left out of a candidate, with the reason
+const OmittedCourses = ({ courses = [], timeSlots }) => {
+  if (courses.length === 0) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+      <h3 className="text-sm font-medium text-yellow-800 mb-2">مقررات لم تُضف إلى هذا الجدول</h3>
+      <ul className="space-y-1 text-sm text-yellow-700">
+        {courses.map((course, index) => (
+          <li key={index}>
+            <span dir="ltr">{course.course_code}{course.group_code ? ` ${course.group_code}` : ''}</span>
+            {': '}
+            {omittedReasons[course.reason] || course.reason}
+            {course.conflicts_with?.length > 0 && (
+              <span dir="ltr"> ({course.conflicts_with.join('، ')})</span>
+            )}
+            {course.blocked_windows?.length > 0 && (
+              <span> ({course.blocked_windows.map(window => describeBlockedWindow(window, timeSlots)).join('، ')})</span>
+            )}
+            {course.instructor_rules?.length > 0 && (
+              <span> ({course.instructor_rules.map(describeInstructorRule).join('، ')})</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 export default SchedulePage;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react'
+import React, { useState, useCallback, useEffect } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { useNavigate } from 'react-router-dom'
 import { motion, AnimatePresence } from 'framer-motion'
@@ -21,12 +21,21 @@ const UploadPage = () => {
   const navigate = useNavigate()
   const [file, setFile] = useState(null)
   const [uploading, setUploading] = useState(false)
+  const [parseProgress, setParseProgress] = useState(null)
   const [results, setResults] = useState(null)
   const [showNormalization, setShowNormalization] = useState(false)
   const [normalizationOptions, setNormalizationOptions] = useState({
     normalize: false,
     applyAdjustments: false
   })
+  const [layoutProfiles, setLayoutProfiles] = useState([])
+  const [layoutProfile, setLayoutProfile] = useState('auto')
+
+  useEffect(() => {
+    excelAPI.getLayoutProfiles()
+      .then(response => setLayoutProfiles(response.data.data.profiles))
+      .catch(error => console.error('Failed to load layout profiles:', error))
+  }, [])
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     if (rejectedFiles.length > 0) {
@@ -34,7 +43,7 @@ const UploadPage = () => {
       if (error.code === 'file-too-large') {
         toast.error('حجم الملف كبير جداً. الحد الأقصى 10 ميجابايت')
       } else if (error.code === 'file-invalid-type') {
-        toast.error('نوع الملف غير مدعوم. يُرجى رفع ملف Excel (.xlsx, .xls, .xlsm)')
+        toast.error('نوع الملف غير مدعوم. يُرجى رفع ملف Excel أو ODS أو CSV')
       } else {
         toast.error('خطأ في الملف: ' + error.message)
       }
@@ -52,7 +61,9 @@ const UploadPage = () => {
     accept: {
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
       'application/vnd.ms-excel': ['.xls'],
-      'application/vnd.ms-excel.sheet.macroEnabled.12': ['.xlsm']
+      'application/vnd.ms-excel.sheet.macroEnabled.12': ['.xlsm'],
+      'application/vnd.oasis.opendocument.spreadsheet': ['.ods'],
+      'text/csv': ['.csv']
     },
     maxSize: 10 * 1024 * 1024, // 10MB
     multiple: false
@@ -66,22 +77,29 @@ const UploadPage = () => {
     formData.append('excelFile', file)
     formData.append('normalize', normalizationOptions.normalize.toString())
     formData.append('applyAdjustments', normalizationOptions.applyAdjustments.toString())
+    formData.append('layoutProfile', layoutProfile)
 
     try {
-      const response = await excelAPI.parseFile(formData)
+      // The server parses in the background; follow its progress, then fetch the result
+      const jobResponse = await excelAPI.parseFile(formData)
+      setParseProgress(jobResponse.data.data)
+      const response = await excelAPI.waitForParseJob(jobResponse.data.data.job_id, setParseProgress)
       console.log('API Response:', response) // Debug log
       console.log('Response data structure:', JSON.stringify(response.data, null, 2)) // Detailed debug log
       setResults(response.data) // Use response.data instead of response
-      toast.success('تم تحليل الملف بنجاح!')
+      toast.success(response.data.data?.cached
+        ? 'تم تحميل نتيجة التحليل المحفوظة لهذا الملف'
+        : 'تم تحليل الملف بنجاح!')
       
       // Store results in sessionStorage for use in other pages
       sessionStorage.setItem('uploadResults', JSON.stringify(response.data))
     } catch (error) {
       console.error('Upload error:', error)
       console.error('Error response:', error.response) // Debug log
-      toast.error(error.response?.data?.error?.message || 'فشل في تحليل الملف')
+      toast.error(error.response?.data?.error?.message || error.message || 'فشل في تحليل الملف')
     } finally {
       setUploading(false)
+      setParseProgress(null)
     }
   }
 
@@ -90,6 +108,7 @@ const UploadPage = () => {
     setResults(null)
     setShowNormalization(false)
     setNormalizationOptions({ normalize: false, applyAdjustments: false })
+    setLayoutProfile('auto')
   }
 
   return (
@@ -119,9 +138,13 @@ const UploadPage = () => {
                   <p className="text-lg font-medium text-gray-700">
                     جاري تحليل الملف...
                   </p>
-                  <p className="text-sm text-gray-500">
-                    قد تستغرق هذه العملية بضع ثوانٍ
-                  </p>
+                  {parseProgress ? (
+                    <ParseProgress job={parseProgress} />
+                  ) : (
+                    <p className="text-sm text-gray-500">
+                      جاري رفع الملف...
+                    </p>
+                  )}
                 </>
               ) : (
                 <>
@@ -131,7 +154,7 @@ const UploadPage = () => {
                       اسحب ملف Excel هنا أو انقر للاختيار
                     </p>
                     <p className="text-sm text-gray-500 mt-2">
-                      يدعم ملفات .xlsx و .xls و .xlsm حتى 10 ميجابايت
+                      يدعم ملفات .xlsx و .xls و .xlsm و .ods و .csv حتى 10 ميجابايت
                     </p>
                   </div>
                 </>
@@ -191,6 +214,23 @@ const UploadPage = () => {
                     exit={{ height: 0, opacity: 0 }}
                     className="space-y-4 overflow-hidden"
                   >
+                    <div>
+                      <label htmlFor="layoutProfile" className="block text-sm text-gray-700 mb-1">
+                        قالب الجدول
+                      </label>
+                      <select
+                        id="layoutProfile"
+                        value={layoutProfile}
+                        onChange={(e) => setLayoutProfile(e.target.value)}
+                        className="form-select w-full"
+                      >
+                        <option value="auto">اكتشاف تلقائي</option>
+                        {layoutProfiles.map(profile => (
+                          <option key={profile.id} value={profile.id}>{profile.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     <div className="flex items-center">
                       <input
                         type="checkbox"
@@ -308,6 +348,58 @@ const UploadPage = () => {
                   <div className="text-sm text-gray-600">جلسات تم تحليلها</div>
                 </div>
               </div>
+
+              {/* Per-sheet summary */}
+              {(Object.keys(results.data.parsing.parsing_summary?.per_sheet || {}).length > 1 ||
+                results.data.parsing.layout_profile) && (
+                <div className="card">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                    الأوراق التي تم تحليلها
+                  </h3>
+                  <div className="space-y-2">
+                    {Object.entries(results.data.parsing.parsing_summary.per_sheet).map(([sheetName, counts]) => (
+                      <div key={sheetName} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+                        <span className="font-medium text-gray-900">
+                          {sheetName}
+                          {results.data.parsing.layout_profile?.sheets?.[sheetName] && (
+                            <span className="mr-2 text-xs text-gray-500" dir="ltr">
+                              {results.data.parsing.layout_profile.sheets[sheetName].profile}
+                              {results.data.parsing.layout_profile.sheets[sheetName].auto_detected && ' (auto)'}
+                            </span>
+                          )}
+                        </span>
+                        <span className="text-gray-600">
+                          {counts.course_codes_found} مقرر • {counts.groups_found} مجموعة • {counts.total_entries} جلسة
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Course catalog sheet */}
+              {results.data.parsing.catalog?.sheets?.length > 0 && (
+                <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+                  <span className="font-medium">لائحة المقررات ({results.data.parsing.catalog.sheets.join('، ')}): </span>
+                  {results.data.parsing.catalog.summary.matched_courses} من {results.data.parsing.catalog.summary.scheduled_courses} مقرر لها ساعات معتمدة ومتطلبات
+                  {results.data.parsing.catalog.missing_courses.length > 0 && (
+                    <div className="text-yellow-700 mt-1">
+                      مقررات غير موجودة في اللائحة (3 ساعات افتراضياً):{' '}
+                      <span dir="ltr">{results.data.parsing.catalog.missing_courses.join(', ')}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Room and instructor double bookings */}
+              {results.data.parsing.timetable_validation && (
+                <TimetableConflicts validation={results.data.parsing.timetable_validation} />
+              )}
+
+              {/* Parse diagnostics */}
+              {results.data.parsing.diagnostics && (
+                <ParseDiagnostics diagnostics={results.data.parsing.diagnostics} />
+              )}
             </>
           )}
 
@@ -382,7 +474,10 @@ const UploadPage = () => {
                         {group.course_code} - مجموعة {group.group_code}
                       </div>
                       <div className="text-sm text-gray-600">
-                        {group.sessions?.length || 0} جلسة • {group.course_name || 'بدون اسم'}
+                        {group.sessions?.length || 0} جلسة • {group.course_name || group.catalog?.name_ar || 'بدون اسم'}
+                        {group.catalog && (
+                          <> • {group.catalog.credit_hours} ساعات معتمدة{group.catalog.source === 'default' && ' (افتراضي)'}</>
+                        )}
                       </div>
                     </div>
                     <div className="text-sm text-gray-500">
@@ -431,4 +526,177 @@ const UploadPage = () => {
   )
 }
 
+// Parse Diagnostics Component
+const diagnosticLabels = {
+  unconsumed_cells: 'خلايا لم يتم التعرف عليها',
+  incomplete_blocks: 'كتل ينقصها اسم المقرر أو القاعة/المحاضر',
+  fallback_matches: 'رموز مقررات تم التعرف عليها بشكل تقريبي',
+  code_corrections: 'رموز مقررات تم تصحيح كتابتها',
+  suspicious_codes: 'رموز مقررات مشكوك فيها',
+  row_errors: 'صفوف CSV تعذر قراءتها'
+}
+
+const suspiciousReasons = {
+  not_in_catalog: 'غير موجود في لائحة المقررات',
+  rare_code: 'يظهر مرة واحدة فقط',
+  missing_group: 'بدون رقم مجموعة'
+}
+
+const ParseDiagnostics = ({ diagnostics }) => {
+  const [expanded, setExpanded] = useState(null)
+  const categories = Object.keys(diagnosticLabels).filter(key => diagnostics[key]?.length > 0)
+
+  if (categories.length === 0) return null
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <AlertCircle className="h-5 w-5 text-orange-600 ml-2" />
+        <h3 className="text-lg font-semibold text-gray-900">
+          ملاحظات التحليل
+        </h3>
+      </div>
+      <div className="space-y-3">
+        {categories.map(category => (
+          <div key={category} className="border border-gray-200 rounded-lg">
+            <button
+              onClick={() => setExpanded(expanded === category ? null : category)}
+              className="w-full flex items-center justify-between p-3 text-sm"
+            >
+              <span className="font-medium text-gray-900">{diagnosticLabels[category]}</span>
+              <span className="text-orange-600 font-bold">{diagnostics[category].length}</span>
+            </button>
+            {expanded === category && (
+              <div className="max-h-64 overflow-y-auto custom-scrollbar border-t border-gray-200">
+                {diagnostics[category].map((item, index) => (
+                  <div key={index} className="flex items-center justify-between px-3 py-2 text-xs odd:bg-gray-50">
+                    <span className="font-mono text-gray-500" dir="ltr">
+                      {item.sheet}!{item.range || item.address}
+                    </span>
+                    <span className="text-gray-700">
+                      {item.raw}
+                      {item.errors && (
+                        <span className="block text-red-600" dir="ltr">{item.errors.join(' • ')}</span>
+                      )}
+                      {item.to && (
+                        <span className="block text-green-700" dir="ltr">→ {item.to}</span>
+                      )}
+                      {item.reason && (
+                        <span className="block text-red-600">
+                          {suspiciousReasons[item.reason] || item.reason}
+                          {item.suggestion && <> • هل تقصد <span dir="ltr">{item.suggestion}</span>؟</>}
+                        </span>
+                      )}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Timetable Conflicts Component
+const conflictLabels = {
+  room_conflicts: 'قاعات محجوزة لمقررين في نفس الوقت',
+  instructor_conflicts: 'محاضرون في مكانين في نفس الوقت'
+}
+
+const arabicDayNames = {
+  Saturday: 'السبت',
+  Sunday: 'الأحد',
+  Monday: 'الاثنين',
+  Tuesday: 'الثلاثاء',
+  Wednesday: 'الأربعاء',
+  Thursday: 'الخميس',
+  Friday: 'الجمعة'
+}
+
+const TimetableConflicts = ({ validation }) => {
+  const [expanded, setExpanded] = useState(null)
+  const categories = Object.keys(conflictLabels).filter(key => validation[key]?.length > 0)
+
+  if (categories.length === 0) return null
+
+  return (
+    <div className="card">
+      <div className="flex items-center mb-4">
+        <AlertCircle className="h-5 w-5 text-red-600 ml-2" />
+        <h3 className="text-lg font-semibold text-gray-900">
+          تعارضات في الجدول الرئيسي
+        </h3>
+      </div>
+      <div className="space-y-3">
+        {categories.map(category => (
+          <div key={category} className="border border-gray-200 rounded-lg">
+            <button
+              onClick={() => setExpanded(expanded === category ? null : category)}
+              className="w-full flex items-center justify-between p-3 text-sm"
+            >
+              <span className="font-medium text-gray-900">{conflictLabels[category]}</span>
+              <span className="text-red-600 font-bold">{validation[category].length}</span>
+            </button>
+            {expanded === category && (
+              <div className="max-h-64 overflow-y-auto custom-scrollbar border-t border-gray-200">
+                {validation[category].map((conflict, index) => (
+                  <div key={index} className="px-3 py-2 text-xs odd:bg-gray-50">
+                    <div className="font-medium text-gray-900">
+                      {conflict.resource_name} • {arabicDayNames[conflict.day_of_week] || conflict.day_of_week} {conflict.start_time}
+                    </div>
+                    {conflict.blocks.map(block => (
+                      <div key={block.block_id} className="flex items-center justify-between text-gray-600">
+                        <span>
+                          {block.course_code} ({block.group_codes.join(',')}) • {block.location || '-'} • {block.instructor || '-'}
+                        </span>
+                        <span className="font-mono text-gray-500" dir="ltr">
+                          {block.range ? `${block.sheet_name.trim()}!${block.range}` : block.block_id}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Parse Progress Component
+const parseStageLabels = {
+  queued: 'في انتظار بدء التحليل',
+  reading: 'قراءة الملف',
+  detecting: 'اكتشاف المحاضرات',
+  grouping: 'تجميع المجموعات',
+  normalizing: 'التطبيع والتحقق',
+  completed: 'اكتمل التحليل'
+}
+
+// Progress bar of a background parse job, with the sheet and day being read
+const ParseProgress = ({ job }) => (
+  <div className="w-full max-w-md">
+    <div className="flex justify-between text-sm text-gray-600 mb-1">
+      <span>
+        {parseStageLabels[job.stage] || job.stage}
+        {job.day && ` • ${arabicDayNames[job.day] || job.day}`}
+      </span>
+      <span>{job.progress}%</span>
+    </div>
+    <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+      <div
+        className="h-full bg-primary-600 transition-all duration-300"
+        style={{ width: `${job.progress}%` }}
+      />
+    </div>
+    {job.sheet && (
+      <p className="text-xs text-gray-500 mt-1">الورقة: {job.sheet.trim()}</p>
+    )}
+  </div>
+)
+
 export default UploadPage
@@ -48,7 +48,7 @@ api.interceptors.response.use(
 
 // API endpoints
 export const excelAPI = {
-  // Parse Excel file
+  // Start parsing an Excel file in the background (responds with the parse job)
   parseFile: (formData, options = {}) => {
     return api.post('/excel/parse', formData, {
       headers: {
@@ -58,6 +58,35 @@ export const excelAPI = {
     })
   },
 
+  // Get the result of a completed parse job
+  getParseResult: (jobId) => {
+    return api.get(`/excel/parse-jobs/${jobId}/result`)
+  },
+
+  // Follow a parse job's progress stream (Server-Sent Events); resolves with the result response
+  waitForParseJob: (jobId, onProgress = () => {}) => {
+    return new Promise((resolve, reject) => {
+      const events = new EventSource(`${api.defaults.baseURL}/excel/parse-jobs/${jobId}/events`)
+
+      events.addEventListener('progress', (event) => onProgress(JSON.parse(event.data)))
+      events.addEventListener('completed', (event) => {
+        events.close()
+        onProgress(JSON.parse(event.data))
+        excelAPI.getParseResult(jobId).then(resolve, reject)
+      })
+      events.addEventListener('failed', (event) => {
+        events.close()
+        reject(new Error(JSON.parse(event.data).error?.message || 'فشل في تحليل الملف'))
+      })
+      // The browser reconnects on its own unless the stream cannot be opened at all (e.g. unknown job)
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          reject(new Error('انقطع الاتصال بالخادم أثناء تحليل الملف'))
+        }
+      }
+    })
+  },
+
   // Normalize course groups
   normalize: (courseGroups, options = {}) => {
     return api.post('/excel/normalize', {
@@ -66,6 +95,20 @@ export const excelAPI = {
     })
   },
 
+  // Compare two uploaded timetable files (previousFile, currentFile)
+  diffFiles: (formData) => {
+    return api.post('/excel/diff', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      }
+    })
+  },
+
+  // Get department layout profiles
+  getLayoutProfiles: () => {
+    return api.get('/excel/layout-profiles')
+  },
+
   // Get canonical spans
   getCanonicalSpans: () => {
     return api.get('/excel/canonical-spans')
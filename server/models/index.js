@@ -1,3 +1,8 @@
+const { createRecurrence, recurrencesOverlap } = require('../utils/recurrence');
+const CourseCodeService = require('../services/CourseCodeService');
+
+const courseCodes = new CourseCodeService();
+
 /**
  * Course Group model representing a specific group of a course
  */
@@ -55,6 +60,7 @@ class Session {
     professor = '',
     session_type = 'unknown',
     shared_groups = [],
+    recurrence = null,
     synthetic = false
   }) {
     this.day = day;
@@ -69,6 +75,7 @@ class Session {
     this.professor = professor;
     this.session_type = session_type;
     this.shared_groups = shared_groups;
+    this.recurrence = recurrence || createRecurrence();
     this.synthetic = synthetic;
   }
 
@@ -82,6 +89,8 @@ class Session {
 
   conflictsWith(other) {
     if (this.day !== other.day) return false;
+    // Odd-week and even-week sessions (or disjoint week ranges) never meet
+    if (!recurrencesOverlap(this.recurrence, other.recurrence)) return false;
     
     const thisEnd = this.slot + this.span;
     const otherEnd = other.slot + other.span;
@@ -98,23 +107,155 @@ class UserRequest {
     desired_courses = [],
     max_credits = 18,
     credits_per_course = {},
-    group_preferences = {}
+    group_preferences = {},
+    blocked_windows = [],
+    preferences = {},
+    instructor_preferences = []
   }) {
     this.desired_courses = desired_courses;
     this.max_credits = max_credits;
     this.credits_per_course = credits_per_course;
     this.group_preferences = group_preferences;
+    // Hard constraints: { day, from_slot, to_slot } with 1-based inclusive slots; a missing
+    // from_slot starts at the first slot, a missing to_slot runs to the end of the day
+    this.blocked_windows = (blocked_windows || []).map(window => ({
+      day: UserRequest.normalizeDay(window.day),
+      from_slot: window.from_slot ?? null,
+      to_slot: window.to_slot ?? null,
+      label: window.label || ''
+    }));
+    // Soft preferences: a 0-10 weight per criterion (see UserRequest.preferenceCriteria);
+    // missing weights take the defaults. The older 'preferred_instructors' weight is the 'instructors' one.
+    const { preferred_instructors: preferredInstructorsWeight, ...weights } = preferences?.weights || {};
+    this.preferences = {
+      weights: {
+        ...UserRequest.defaultPreferenceWeights,
+        ...(preferredInstructorsWeight !== undefined && { instructors: preferredInstructorsWeight }),
+        ...weights
+      }
+    };
+    // Instructor rules: { instructor, course_code (null for every course), mode: 'prefer' | 'avoid', hard };
+    // hard rules rule groups out, soft ones count towards the 'instructors' preference.
+    // Names in the older preferences.preferred_instructors list are soft rules for every course.
+    const preferredInstructors = (preferences?.preferred_instructors || [])
+      .map(instructor => ({ instructor, course_code: null, mode: 'prefer', hard: false }));
+    this.instructor_preferences = [...(instructor_preferences || []), ...preferredInstructors].map(rule => ({
+      instructor: String(rule.instructor || '').trim(),
+      course_code: rule.course_code ? courseCodes.canonicalize(String(rule.course_code).trim()).text : null,
+      mode: rule.mode || 'prefer',
+      hard: Boolean(rule.hard)
+    }));
+  }
+
+  static normalizeDay(day) {
+    const value = String(day || '').trim().toLowerCase();
+    return UserRequest.days.find(name => name.toLowerCase() === value) || String(day || '');
+  }
+
+  getBlockedWindowErrors() {
+    const errors = [];
+    this.blocked_windows.forEach((window, index) => {
+      const slots = [window.from_slot, window.to_slot].filter(slot => slot !== null);
+      if (!UserRequest.days.includes(window.day)) {
+        errors.push(`Blocked window ${index + 1}: unknown day "${window.day}"`);
+      }
+      if (slots.some(slot => !Number.isInteger(slot) || slot < 1)) {
+        errors.push(`Blocked window ${index + 1}: slots must be whole numbers starting at 1`);
+      } else if (slots.length === 2 && window.from_slot > window.to_slot) {
+        errors.push(`Blocked window ${index + 1}: from_slot is after to_slot`);
+      }
+    });
+    return errors;
+  }
+
+  getPreferenceErrors() {
+    const errors = [];
+    Object.entries(this.preferences.weights).forEach(([criterion, weight]) => {
+      if (!UserRequest.preferenceCriteria.includes(criterion)) {
+        errors.push(`Unknown preference "${criterion}"`);
+      } else if (typeof weight !== 'number' || !(weight >= 0 && weight <= UserRequest.maxPreferenceWeight)) {
+        errors.push(`Preference "${criterion}": weight must be a number from 0 to ${UserRequest.maxPreferenceWeight}`);
+      }
+    });
+    return errors;
+  }
+
+  getInstructorPreferenceErrors() {
+    const errors = [];
+    this.instructor_preferences.forEach((rule, index) => {
+      if (!rule.instructor) {
+        errors.push(`Instructor preference ${index + 1}: instructor is required`);
+      }
+      if (!['prefer', 'avoid'].includes(rule.mode)) {
+        errors.push(`Instructor preference ${index + 1}: mode must be "prefer" or "avoid"`);
+      }
+    });
+    return errors;
+  }
+
+  getCreditErrors() {
+    // The candidate score divides by max_credits
+    if (typeof this.max_credits !== 'number' || !(this.max_credits > 0)) {
+      return ['max_credits must be a positive number'];
+    }
+    return [];
+  }
+
+  getValidationErrors() {
+    return [
+      ...this.getCreditErrors(),
+      ...this.getBlockedWindowErrors(),
+      ...this.getPreferenceErrors(),
+      ...this.getInstructorPreferenceErrors()
+    ];
+  }
+
+  // Instructor rules covering a course (its own and the global ones)
+  getInstructorRules(course_code, { hard } = {}) {
+    return this.instructor_preferences.filter(rule =>
+      (rule.course_code === null || rule.course_code === course_code) &&
+      (hard === undefined || rule.hard === hard)
+    );
+  }
+
+  getPreferenceWeight(criterion) {
+    return this.preferences.weights[criterion] || 0;
+  }
+
+  // Blocked windows overlapping a session; sessions outside the slot layout (slot 0) only hit whole-day windows
+  getBlockingWindows(day, slot, span = 1) {
+    return this.blocked_windows.filter(window => {
+      if (window.day !== day) return false;
+      if (window.from_slot === null && window.to_slot === null) return true;
+      if (!slot) return false;
+      return slot <= (window.to_slot ?? Infinity) && slot + span - 1 >= (window.from_slot ?? 1);
+    });
   }
 
   getPreferredGroup(course_code) {
     return this.group_preferences[course_code] || null;
   }
 
-  getCourseCredits(course_code) {
-    return this.credits_per_course[course_code] || 3;
+  // The student's own value wins, then the catalog sheet (course_group.catalog), then 3
+  getCourseCredits(course_code, catalogRecord = null) {
+    return this.credits_per_course[course_code] || catalogRecord?.credit_hours || 3;
   }
 }
 
+UserRequest.days = ['Saturday', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+UserRequest.preferenceCriteria = ['fewer_days', 'fewer_gaps', 'mornings', 'afternoons', 'instructors', 'balanced_load'];
+UserRequest.maxPreferenceWeight = 10;
+// Defaults favour few gaps and an even daily load, as the fixed scoring did; the instructor
+// weight only counts once the student sets soft instructor preferences
+UserRequest.defaultPreferenceWeights = {
+  fewer_days: 0,
+  fewer_gaps: 3,
+  mornings: 0,
+  afternoons: 0,
+  instructors: 5,
+  balanced_load: 2
+};
+
 /**
  * Schedule candidate model
  */
@@ -125,6 +266,7 @@ class ScheduleCandidate {
     total_credits = 0,
     omitted_courses = [],
     score = 0,
+    score_breakdown = [],
     conflicts = []
   }) {
     this.id = id;
@@ -132,6 +274,7 @@ class ScheduleCandidate {
     this.total_credits = total_credits;
     this.omitted_courses = omitted_courses;
     this.score = score;
+    this.score_breakdown = score_breakdown;
     this.conflicts = conflicts;
   }
 
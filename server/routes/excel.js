@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs').promises;
 const ExcelParserServiceFinal = require('../services/ExcelParserServiceFinal');
 const NormalizationService = require('../services/NormalizationService');
+const TimetableValidationService = require('../services/TimetableValidationService');
+const TimetableDiffService = require('../services/TimetableDiffService');
+const ParseCacheService = require('../services/ParseCacheService');
+const ParseJobService = require('../services/ParseJobService');
 
 const router = express.Router();
 
@@ -34,14 +38,18 @@ const upload = multer({
     const allowedTypes = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
       'application/vnd.ms-excel', // .xls
-      'application/vnd.ms-excel.sheet.macroEnabled.12' // .xlsm
+      'application/vnd.ms-excel.sheet.macroEnabled.12', // .xlsm
+      'application/vnd.oasis.opendocument.spreadsheet', // .ods
+      'text/csv' // .csv
     ];
     
     if (allowedTypes.includes(file.mimetype) || 
-        file.originalname.match(/\.(xlsx|xls|xlsm)$/i)) {
+        file.originalname.match(/\.(xlsx|xls|xlsm|ods|csv)$/i)) {
       cb(null, true);
     } else {
-      cb(new Error('Only Excel files (.xlsx, .xls, .xlsm) are allowed'));
+      const error = new Error('Only spreadsheet files (.xlsx, .xls, .xlsm, .ods, .csv) are allowed');
+      error.status = 400;
+      cb(error);
     }
   }
 });
@@ -49,69 +57,67 @@ const upload = multer({
 // Initialize services
 const finalParserService = new ExcelParserServiceFinal();
 const normalizationService = new NormalizationService();
+const timetableValidationService = new TimetableValidationService();
+const timetableDiffService = new TimetableDiffService();
+const parseCache = ParseCacheService.getSharedInstance();
+const parseJobs = new ParseJobService();
 
 /**
  * POST /api/excel/parse
- * Parse uploaded Excel file
+ * Start parsing an uploaded Excel file in the background
+ * Responds 202 with a job id right away; progress is streamed from /parse-jobs/:jobId/events and the
+ * parse result is served by /parse-jobs/:jobId/result.
+ * Results are cached by file content; the result's timetable_id can be sent back
+ * (as timetableId, without a file) to get the same parse without uploading again
  */
 router.post('/parse', upload.single('excelFile'), async (req, res) => {
   try {
-    if (!req.file) {
+    const { normalize = 'false', applyAdjustments = 'false', sheets, layoutProfile = 'auto', timetableId } = req.body;
+    const selectedSheets = parseSheetList(sheets);
+
+    if (!req.file && !timetableId) {
       return res.status(400).json({
         error: { message: 'No Excel file uploaded' }
       });
     }
-
-    const { normalize = 'false', applyAdjustments = 'false' } = req.body;
-    const shouldNormalize = normalize === 'true';
-    const shouldApplyAdjustments = applyAdjustments === 'true';
-
-    console.log(`📊 Parsing Excel file: ${req.file.originalname}`);
-    
-    // Parse the Excel file using the final parser
-    const parseResult = await finalParserService.parseExcelFile(req.file.path);
     
-    // The improved parser returns { course_groups, schedule_entries, span_statistics }
-    // rather than { success, error } format
-    if (!parseResult || !parseResult.course_groups) {
-      // Clean up uploaded file
-      await fs.unlink(req.file.path).catch(() => {});
-      
+    if (layoutProfile !== 'auto' && !finalParserService.layoutProfiles.getProfile(layoutProfile)) {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {});
       return res.status(400).json({
-        error: { message: 'Excel parsing failed: Invalid result structure' }
+        error: { message: `Unknown layout profile: ${layoutProfile}` }
       });
     }
 
-    let normalizationResult = null;
-    
-    // Apply normalization if requested
-    if (shouldNormalize && parseResult.course_groups.length > 0) {
-      console.log('🔧 Applying normalization...');
-      
-      normalizationResult = await normalizationService.normalizeCourseGroups(
-        parseResult.course_groups,
-        { applyAdjustments: shouldApplyAdjustments }
-      );
+    let cachedResult = null;
+    if (!req.file) {
+      cachedResult = await parseCache.get(timetableId);
+      if (!cachedResult) {
+        return res.status(404).json({
+          error: { message: `Unknown timetable id: ${timetableId}. Upload the file again.` }
+        });
+      }
     }
 
-    // Clean up uploaded file
-    await fs.unlink(req.file.path).catch(() => {});
+    if (req.file) console.log(`📊 Parsing Excel file: ${req.file.originalname}`);
+
+    const job = parseJobs.createJob(reportProgress => runParseJob({
+      file: req.file,
+      timetableId,
+      cachedResult,
+      parseOptions: { sheets: selectedSheets, layoutProfile },
+      shouldNormalize: normalize === 'true',
+      shouldApplyAdjustments: applyAdjustments === 'true'
+    }, reportProgress));
 
-    const response = {
+    res.status(202).json({
       success: true,
       data: {
-        parsing: parseResult,
-        normalization: normalizationResult,
-        file_info: {
-          original_name: req.file.originalname,
-          size: req.file.size,
-          uploaded_at: new Date().toISOString()
-        }
+        ...job,
+        status_url: `/api/excel/parse-jobs/${job.job_id}`,
+        events_url: `/api/excel/parse-jobs/${job.job_id}/events`,
+        result_url: `/api/excel/parse-jobs/${job.job_id}/result`
       }
-    };
-
-    console.log(`✅ Successfully parsed ${parseResult.course_groups.length} course groups`);
-    res.json(response);
+    });
 
   } catch (error) {
     console.error('Excel parsing error:', error);
@@ -130,6 +136,96 @@ router.post('/parse', upload.single('excelFile'), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/excel/parse-jobs/:jobId
+ * Get the status and progress of a parse job
+ */
+router.get('/parse-jobs/:jobId', (req, res) => {
+  const job = parseJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: { message: `Unknown parse job: ${req.params.jobId}` }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: parseJobs.getSnapshot(job)
+  });
+});
+
+/**
+ * GET /api/excel/parse-jobs/:jobId/events
+ * Server-Sent Events stream of a parse job: a 'progress' event per update
+ * ({ stage, progress, sheet, day }), then a single 'completed' or 'failed' event
+ */
+router.get('/parse-jobs/:jobId/events', (req, res) => {
+  const job = parseJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: { message: `Unknown parse job: ${req.params.jobId}` }
+    });
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive'
+  });
+
+  const send = snapshot => {
+    const eventName = parseJobs.isFinished(snapshot) ? snapshot.status : 'progress';
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (eventName !== 'progress') res.end();
+  };
+
+  send(parseJobs.getSnapshot(job));
+  if (parseJobs.isFinished(job)) return;
+
+  const unsubscribe = parseJobs.subscribe(job.job_id, snapshot => {
+    send(snapshot);
+    if (parseJobs.isFinished(snapshot)) unsubscribe();
+  });
+  req.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/excel/parse-jobs/:jobId/result
+ * Get the result of a completed parse job (409 while it is still running)
+ */
+router.get('/parse-jobs/:jobId/result', (req, res) => {
+  const job = parseJobs.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: { message: `Unknown parse job: ${req.params.jobId}` }
+    });
+  }
+
+  if (job.status === 'failed') {
+    return res.status(job.error.status).json({
+      error: {
+        message: 'Failed to parse Excel file',
+        details: job.error.message
+      }
+    });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      error: {
+        message: 'Parse job is still running',
+        details: parseJobs.getSnapshot(job)
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job.result
+  });
+});
+
 /**
  * POST /api/excel/normalize
  * Normalize existing course groups
@@ -174,6 +270,131 @@ router.post('/normalize', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/excel/validate-timetable
+ * Check parsed schedule entries for rooms and instructors booked twice at the same time
+ * Accepts { schedule_entries, slot_layout } or the timetable_id of an earlier upload
+ */
+router.post('/validate-timetable', async (req, res) => {
+  try {
+    let { schedule_entries, slot_layout = null, timetable_id } = req.body;
+    
+    if (timetable_id) {
+      const cachedResult = await parseCache.get(timetable_id);
+      if (!cachedResult) {
+        return res.status(404).json({
+          error: { message: `Unknown timetable id: ${timetable_id}` }
+        });
+      }
+      schedule_entries = cachedResult.schedule_entries;
+      slot_layout = cachedResult.slot_layout;
+    }
+    
+    if (!schedule_entries || !Array.isArray(schedule_entries)) {
+      return res.status(400).json({
+        error: { message: 'Invalid schedule entries data' }
+      });
+    }
+    
+    console.log(`🔎 Validating ${schedule_entries.length} schedule entries for double bookings`);
+    
+    const validation = timetableValidationService.validateTimetable(schedule_entries, { slot_layout });
+    
+    res.json({
+      success: true,
+      data: validation
+    });
+  } catch (error) {
+    console.error('Timetable validation error:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to validate timetable',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/excel/diff
+ * Compare two versions of the timetable: two uploaded files (previousFile, currentFile),
+ * two parsed timetables in the JSON body ({ previous, current }) or the timetable ids
+ * of two earlier uploads ({ previous_id, current_id })
+ */
+router.post('/diff', upload.fields([
+  { name: 'previousFile', maxCount: 1 },
+  { name: 'currentFile', maxCount: 1 }
+]), async (req, res) => {
+  const uploadedFiles = Object.values(req.files || {}).flat();
+  
+  try {
+    let { previous, current } = req.body;
+    const { previous_id, current_id } = req.body;
+    const previousFile = req.files?.previousFile?.[0];
+    const currentFile = req.files?.currentFile?.[0];
+    
+    if (previousFile || currentFile) {
+      if (!previousFile || !currentFile) {
+        return res.status(400).json({
+          error: { message: 'Both previousFile and currentFile must be uploaded' }
+        });
+      }
+      
+      const { layoutProfile = 'auto' } = req.body;
+      console.log(`🆚 Comparing ${previousFile.originalname} with ${currentFile.originalname}`);
+      previous = (await parseFile(previousFile.path, { layoutProfile })).result;
+      current = (await parseFile(currentFile.path, { layoutProfile })).result;
+    } else if (previous_id || current_id) {
+      previous = await parseCache.get(previous_id);
+      current = await parseCache.get(current_id);
+      
+      if (!previous || !current) {
+        return res.status(404).json({
+          error: { message: `Unknown timetable id: ${!previous ? previous_id : current_id}` }
+        });
+      }
+    }
+    
+    if (!previous || !current) {
+      return res.status(400).json({
+        error: { message: 'Two timetables are required (previous and current)' }
+      });
+    }
+    
+    let diff;
+    try {
+      diff = timetableDiffService.diffTimetables(previous, current);
+    } catch (error) {
+      return res.status(400).json({
+        error: { message: 'Invalid timetable data', details: error.message }
+      });
+    }
+    
+    console.log(`✅ Timetable diff: ${diff.summary.total_changes} changes in ${diff.summary.groups_changed} groups`);
+    res.json({
+      success: true,
+      data: {
+        ...diff,
+        file_info: previousFile && currentFile
+          ? { previous: previousFile.originalname, current: currentFile.originalname }
+          : null
+      }
+    });
+    
+  } catch (error) {
+    console.error('Timetable diff error:', error);
+    res.status(error.status || 500).json({
+      error: {
+        message: 'Failed to compare timetables',
+        details: error.message
+      }
+    });
+  } finally {
+    // Clean up uploaded files
+    await Promise.all(uploadedFiles.map(file => fs.unlink(file.path).catch(() => {})));
+  }
+});
+
 /**
  * GET /api/excel/canonical-spans
  * Get all canonical span definitions
@@ -238,6 +459,54 @@ router.put('/canonical-spans/:courseCode', (req, res) => {
   }
 });
 
+/**
+ * GET /api/excel/session-type-rules
+ * Get the active lecture/lab/tutorial classification rules
+ * The rules are read-only here: edit config/session-type-rules.json (or the file named by
+ * SESSION_TYPE_RULES_PATH) and restart the server to change them. Cached parse results keep
+ * the old classification, so empty the parse cache directory as well.
+ */
+router.get('/session-type-rules', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: finalParserService.sessionClassifier.getConfig()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve session type rules',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/excel/layout-profiles
+ * List the department layout profiles that can be selected on upload
+ */
+router.get('/layout-profiles', (req, res) => {
+  try {
+    const layoutProfiles = finalParserService.layoutProfiles;
+    
+    res.json({
+      success: true,
+      data: {
+        default_profile: layoutProfiles.getDefaultProfile().id,
+        profiles: layoutProfiles.getProfiles()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: {
+        message: 'Failed to retrieve layout profiles',
+        details: error.message
+      }
+    });
+  }
+});
+
 /**
  * GET /api/excel/upload-stats
  * Get upload statistics
@@ -285,6 +554,108 @@ router.get('/upload-stats', async (req, res) => {
   }
 });
 
+/**
+ * Helper function parsing an uploaded file in a worker thread, or reusing the cached result
+ * @returns {Promise<Object>} Cache entry ({ timetable_id, result, cached })
+ */
+function parseFile(filePath, parseOptions, reportProgress = null) {
+  return parseCache.getOrParse(
+    filePath,
+    parseOptions,
+    onProgress => parseJobs.parseInWorker(
+      filePath,
+      parseOptions,
+      finalParserService.sessionClassifier.getConfig(),
+      onProgress
+    ),
+    reportProgress
+  );
+}
+
+/**
+ * Helper function running one parse job: parse (or reuse the cached result), then normalize if requested
+ * The uploaded file is removed once the job is done. Errors carry the HTTP status for the result endpoint.
+ * @returns {Promise<Object>} The parse response data ({ timetable_id, cached, parsing, normalization, file_info })
+ */
+async function runParseJob(options, reportProgress) {
+  const { file, timetableId, cachedResult, parseOptions, shouldNormalize, shouldApplyAdjustments } = options;
+
+  try {
+    let cacheEntry;
+    if (file) {
+      // Parse the Excel file using the final parser (skipped when this file was parsed before)
+      cacheEntry = await parseFile(file.path, parseOptions, reportProgress);
+    } else {
+      cacheEntry = { timetable_id: timetableId, result: cachedResult, cached: true };
+    }
+    const parseResult = cacheEntry.result;
+    
+    // The improved parser returns { course_groups, schedule_entries, span_statistics }
+    // rather than { success, error } format
+    if (!parseResult || !parseResult.course_groups) {
+      const error = new Error('Excel parsing failed: Invalid result structure');
+      error.status = 400;
+      throw error;
+    }
+
+    let normalizationResult = null;
+    
+    // Apply normalization if requested
+    if (shouldNormalize && parseResult.course_groups.length > 0) {
+      console.log('🔧 Applying normalization...');
+      reportProgress({ stage: 'normalizing', progress: 90 });
+      
+      normalizationResult = await normalizationService.normalizeCourseGroups(
+        parseResult.course_groups,
+        { applyAdjustments: shouldApplyAdjustments }
+      );
+    }
+
+    console.log(`✅ Successfully parsed ${parseResult.course_groups.length} course groups${cacheEntry.cached ? ' (cached)' : ''}`);
+
+    return {
+      timetable_id: cacheEntry.timetable_id,
+      cached: cacheEntry.cached,
+      parsing: parseResult,
+      normalization: normalizationResult,
+      file_info: file ? {
+        original_name: file.originalname,
+        size: file.size,
+        uploaded_at: new Date().toISOString()
+      } : null
+    };
+  } catch (error) {
+    console.error('Excel parsing error:', error);
+    throw error;
+  } finally {
+    // Clean up uploaded file
+    if (file) await fs.unlink(file.path).catch(() => {});
+  }
+}
+
+/**
+ * Helper function to read the optional sheet selection from a multipart field.
+ * Accepts a JSON array (e.g. '["Level 1","Level 2"]') or a comma-separated list.
+ */
+function parseSheetList(sheets) {
+  if (!sheets) return null;
+  if (Array.isArray(sheets)) return sheets.filter(Boolean);
+  
+  const value = String(sheets).trim();
+  if (!value) return null;
+  
+  if (value.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.filter(Boolean);
+    } catch (error) {
+      // Fall through to comma-separated parsing
+    }
+  }
+  
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -298,7 +669,7 @@ router.use((error, req, res, next) => {
     });
   }
   
-  if (error.message.includes('Only Excel files')) {
+  if (error.status === 400) {
     return res.status(400).json({
       error: { message: error.message }
     });
@@ -1,19 +1,31 @@
 const express = require('express');
 const ScheduleGeneratorService = require('../services/ScheduleGeneratorService');
+const ParseCacheService = require('../services/ParseCacheService');
 const { UserRequest } = require('../models');
 
 const router = express.Router();
 const scheduleService = new ScheduleGeneratorService();
+const parseCache = ParseCacheService.getSharedInstance();
 
 /**
  * POST /api/schedule/generate
  * Generate schedule candidates based on user request
+ * Course groups come from the body (course_groups) or an earlier upload (timetable_id)
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { course_groups, user_request, options = {} } = req.body;
+    const { user_request } = req.body;
+    const { course_groups, slot_layout } = await resolveCourseGroups(req.body);
+    // An uploaded timetable brings its own slot layout unless the client sends one
+    const options = { ...req.body.options };
+    if (!options.slot_layout && !options.time_slots) options.slot_layout = slot_layout;
     
     // Validate input
+    if (req.body.timetable_id && !course_groups) {
+      return res.status(404).json({
+        error: { message: `Unknown timetable id: ${req.body.timetable_id}` }
+      });
+    }
     if (!course_groups || !Array.isArray(course_groups)) {
       return res.status(400).json({
         error: { message: 'Invalid course groups data' }
@@ -27,6 +39,12 @@ router.post('/generate', async (req, res) => {
 
     // Create UserRequest object
     const userReq = new UserRequest(user_request);
+    const requestErrors = userReq.getValidationErrors();
+    if (requestErrors.length > 0) {
+      return res.status(400).json({
+        error: { message: 'Invalid user request', validation_errors: requestErrors }
+      });
+    }
     
     // Handle empty desired_courses for auto-generation mode
     const desiredCoursesCount = userReq.desired_courses?.length || 0;
@@ -41,8 +59,13 @@ router.post('/generate', async (req, res) => {
     );
     
     if (!result.success) {
+      // Why each course was left out matters most when every course was
       return res.status(400).json({
-        error: { message: result.error }
+        error: {
+          message: result.error,
+          omitted_courses: result.omitted_courses || [],
+          time_slots: result.time_slots || []
+        }
       });
     }
     
@@ -68,12 +91,22 @@ router.post('/generate', async (req, res) => {
 /**
  * POST /api/schedule/generate-personalized
  * Generate personalized weekly schedule based on exact course selection
+ * Course groups come from the body (course_groups) or an earlier upload (timetable_id)
  */
 router.post('/generate-personalized', async (req, res) => {
   try {
-    const { course_groups, user_request, options = {} } = req.body;
+    const { user_request } = req.body;
+    const { course_groups, slot_layout } = await resolveCourseGroups(req.body);
+    // An uploaded timetable brings its own slot layout unless the client sends one
+    const options = { ...req.body.options };
+    if (!options.slot_layout && !options.time_slots) options.slot_layout = slot_layout;
     
     // Validate input
+    if (req.body.timetable_id && !course_groups) {
+      return res.status(404).json({
+        error: { message: `Unknown timetable id: ${req.body.timetable_id}` }
+      });
+    }
     if (!course_groups || !Array.isArray(course_groups)) {
       return res.status(400).json({
         error: { message: 'Invalid course groups data' }
@@ -86,6 +119,13 @@ router.post('/generate-personalized', async (req, res) => {
       });
     }
     
+    const requestErrors = new UserRequest(user_request).getValidationErrors();
+    if (requestErrors.length > 0) {
+      return res.status(400).json({
+        error: { message: 'Invalid user request', validation_errors: requestErrors }
+      });
+    }
+    
     console.log(`🏗️ Generating personalized weekly schedule...`);
     console.log(`📚 Requested courses:`, user_request.desired_courses);
     console.log(`📊 Available course groups: ${course_groups.length}`);
@@ -100,10 +140,12 @@ router.post('/generate-personalized', async (req, res) => {
     if (!result.success) {
       console.log(`❌ Schedule generation failed: ${result.error}`);
       console.log(`🔍 Validation errors:`, result.validation_errors);
-      return res.status(400).json({
+      // 409 when the courses exist but no combination of their groups avoids a clash
+      return res.status(result.conflict_explanation ? 409 : 400).json({
         error: { 
           message: result.error,
-          validation_errors: result.validation_errors 
+          validation_errors: result.validation_errors,
+          conflict_explanation: result.conflict_explanation || null
         }
       });
     }
@@ -134,8 +176,13 @@ router.post('/generate-personalized', async (req, res) => {
  */
 router.post('/validate-groups', async (req, res) => {
   try {
-    const { course_groups } = req.body;
+    const { course_groups } = await resolveCourseGroups(req.body);
     
+    if (req.body.timetable_id && !course_groups) {
+      return res.status(404).json({
+        error: { message: `Unknown timetable id: ${req.body.timetable_id}` }
+      });
+    }
     if (!course_groups || !Array.isArray(course_groups)) {
       return res.status(400).json({
         error: { message: 'Invalid course groups data' }
@@ -291,6 +338,23 @@ router.get('/statistics', (req, res) => {
   }
 });
 
+/**
+ * Helper function to get the course groups of a request: sent inline as course_groups,
+ * or looked up by the timetable_id returned from /api/excel/parse
+ * @returns {Promise<Object>} { course_groups, slot_layout }; the slot layout is only known for an
+ *   uploaded timetable, and course_groups is null when the timetable id is unknown
+ */
+async function resolveCourseGroups({ course_groups, timetable_id }) {
+  if (timetable_id) {
+    const cachedResult = await parseCache.get(timetable_id);
+    return {
+      course_groups: cachedResult ? cachedResult.course_groups : null,
+      slot_layout: cachedResult ? cachedResult.slot_layout : undefined
+    };
+  }
+  return { course_groups, slot_layout: undefined };
+}
+
 /**
  * Helper function to analyze a schedule candidate
  */
@@ -0,0 +1,232 @@
+const { foldArabic } = require('../utils/arabic');
+
+/**
+ * Course Catalog Service - reads the course catalog sheet of a workbook
+ * A catalog sheet has a header row (within its first rows) naming at least the course code and
+ * credit hours columns; the Arabic/English names, lecture/lab/tutorial hours and prerequisites
+ * columns are read when present.
+ * Every course group gets the catalog record of its course. Courses missing from the catalog get a
+ * default record (3 credit hours, no prerequisites) marked with source 'default'.
+ */
+class CourseCatalogService {
+  constructor() {
+    // Header names accepted for catalog columns (compared after folding Arabic spelling variants)
+    this.columnAliases = {
+      code: ['code', 'course code', 'course_code', 'course no', 'الكود', 'كود المقرر', 'رمز المقرر', 'رقم المقرر'],
+      name_ar: ['arabic name', 'name_ar', 'name (ar)', 'اسم المقرر', 'اسم المقرر بالعربية', 'الاسم بالعربية', 'الاسم العربي'],
+      name_en: ['english name', 'name_en', 'name (en)', 'course title', 'title', 'اسم المقرر بالإنجليزية', 'الاسم بالإنجليزية', 'الاسم الإنجليزي'],
+      name: ['name', 'course name', 'course_name', 'المقرر', 'الاسم'],
+      credit_hours: ['credits', 'credit', 'credit hours', 'credit_hours', 'cr', 'ch', 'الساعات المعتمدة', 'عدد الساعات المعتمدة', 'ساعات معتمدة', 'الساعات', 'س.م'],
+      lecture_hours: ['lecture', 'lectures', 'lecture hours', 'lecture_hours', 'lec', 'محاضرة', 'محاضرات', 'نظري'],
+      lab_hours: ['lab', 'labs', 'lab hours', 'lab_hours', 'practical', 'عملي', 'معمل'],
+      tutorial_hours: ['tutorial', 'tutorials', 'tutorial hours', 'tutorial_hours', 'tut', 'تمارين', 'سكشن'],
+      prerequisites: ['prerequisites', 'prerequisite', 'prereq', 'pre-requisites', 'المتطلب السابق', 'المتطلبات السابقة', 'متطلب سابق', 'متطلبات سابقة']
+    };
+    this.requiredColumns = ['code', 'credit_hours'];
+
+    // Title rows often sit above the header, so look a few rows down for it
+    this.headerSearchRows = 10;
+
+    this.defaultCreditHours = 3;
+    this.courseCodePattern = /^([A-Z]{2,4})\s*-?\s*(\d{3})$/;
+    this.prerequisiteCodePattern = /([A-Z]{2,4})\s*-?\s*(\d{3})(?!\d)/g;
+  }
+
+  /**
+   * Find the catalog header row of a sheet
+   * @param {Array} rawData - Normalized sheet rows
+   * @returns {Object|null} { header_row, columns: { code: index, ... } } or null when the sheet is not a catalog
+   */
+  detectCatalogColumns(rawData) {
+    const foldedAliases = Object.entries(this.columnAliases).map(([field, aliases]) =>
+      [field, aliases.map(alias => foldArabic(alias.toLowerCase()))]
+    );
+
+    for (let rowIndex = 0; rowIndex < Math.min(rawData.length, this.headerSearchRows); rowIndex++) {
+      const columns = {};
+
+      (rawData[rowIndex] || []).forEach((cell, colIndex) => {
+        // "Credit Hours (CH)" → "credit hours"
+        const header = foldArabic(String(cell).toLowerCase().replace(/\s*\(.*\)\s*$/, ''));
+        const match = header && foldedAliases.find(([field, aliases]) => !(field in columns) && aliases.includes(header));
+        if (match) columns[match[0]] = colIndex;
+      });
+
+      if (this.requiredColumns.every(field => field in columns)) {
+        return { header_row: rowIndex, columns };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the course rows under a catalog header
+   * Rows without a code (section titles, totals) are skipped; rows with an unreadable code or
+   * credit hours are returned as errors
+   * @param {Array} rawData - Normalized sheet rows
+   * @param {Object} catalogColumns - Header row and column indexes (see detectCatalogColumns)
+   * @returns {Object} { courses: [{ row, record }], errors: [{ row, col, raw, errors }] }
+   */
+  parseCatalogRows(rawData, catalogColumns) {
+    const { header_row: headerRow, columns } = catalogColumns;
+    const cell = (row, field) => (field in columns ? String(row[columns[field]] ?? '').trim() : '');
+    const courses = [];
+    const errors = [];
+
+    for (let rowIndex = headerRow + 1; rowIndex < rawData.length; rowIndex++) {
+      const row = rawData[rowIndex] || [];
+      const codeText = cell(row, 'code');
+      if (!codeText) continue;
+
+      const rowErrors = [];
+      const courseCode = this.normalizeCourseCode(codeText);
+      if (!courseCode) rowErrors.push(`Invalid course code "${codeText}"`);
+
+      const creditText = cell(row, 'credit_hours');
+      const creditHours = this.parseHours(creditText);
+      if (creditHours === null) rowErrors.push(`Invalid credit hours "${creditText}"`);
+
+      if (courseCode && courses.some(course => course.record.course_code === courseCode)) {
+        rowErrors.push(`Course ${courseCode} is listed twice (the first row is kept)`);
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row: rowIndex, col: columns.code, raw: codeText, errors: rowErrors });
+        continue;
+      }
+
+      // A single name column holds whichever language the catalog is written in
+      const name = cell(row, 'name');
+      const isArabicName = /[\u0600-\u06FF]/.test(name);
+
+      courses.push({ row: rowIndex, record: this.createCatalogRecord({
+        course_code: courseCode,
+        name_ar: cell(row, 'name_ar') || (isArabicName ? name : ''),
+        name_en: cell(row, 'name_en') || (isArabicName ? '' : name),
+        credit_hours: creditHours,
+        lecture_hours: this.parseHours(cell(row, 'lecture_hours')),
+        lab_hours: this.parseHours(cell(row, 'lab_hours')),
+        tutorial_hours: this.parseHours(cell(row, 'tutorial_hours')),
+        ...this.parsePrerequisites(cell(row, 'prerequisites'))
+      }) });
+    }
+
+    return { courses, errors };
+  }
+
+  /**
+   * Convert a catalog code to the parser's course code format ("EEC101" → "EEC 101")
+   * @returns {String|null} Course code, or null when the text is not a course code
+   */
+  normalizeCourseCode(text) {
+    const match = String(text).toUpperCase().trim().match(this.courseCodePattern);
+    return match ? `${match[1]} ${match[2]}` : null;
+  }
+
+  /**
+   * Parse an hours cell ("3", "2.5"); empty and dash cells are null
+   */
+  parseHours(text) {
+    const value = String(text ?? '').trim();
+    if (!value || /^[-–—]$/.test(value)) return null;
+
+    const hours = Number(value);
+    return Number.isFinite(hours) && hours >= 0 ? hours : null;
+  }
+
+  /**
+   * Read the course codes listed in a prerequisites cell ("EEC 101, MTH 102", "لا يوجد")
+   * @returns {Object} { prerequisites: [codes], prerequisites_text }
+   */
+  parsePrerequisites(text) {
+    const value = String(text || '').trim();
+    const codes = [...value.toUpperCase().matchAll(this.prerequisiteCodePattern)]
+      .map(match => `${match[1]} ${match[2]}`);
+
+    return {
+      prerequisites: [...new Set(codes)],
+      prerequisites_text: value
+    };
+  }
+
+  /**
+   * Create a catalog record with every field present
+   */
+  createCatalogRecord({
+    course_code,
+    name_ar = '',
+    name_en = '',
+    credit_hours = this.defaultCreditHours,
+    lecture_hours = null,
+    lab_hours = null,
+    tutorial_hours = null,
+    prerequisites = [],
+    prerequisites_text = '',
+    sheet_name = '',
+    address = '',
+    source = 'catalog'
+  }) {
+    return {
+      course_code,
+      name_ar,
+      name_en,
+      credit_hours,
+      lecture_hours,
+      lab_hours,
+      tutorial_hours,
+      prerequisites,
+      prerequisites_text,
+      sheet_name,
+      address,
+      source
+    };
+  }
+
+  /**
+   * Build the catalog section of the parse result
+   * @param {Array} records - Catalog records read from every catalog sheet
+   * @param {Array} courseCodes - Course codes found in the timetable
+   * @returns {Object} { courses: { code: record }, sheets, missing_courses, unscheduled_courses, summary }
+   */
+  buildCatalog(records, courseCodes) {
+    const courses = {};
+    for (const record of records) {
+      // The first catalog sheet listing a course wins
+      if (!courses[record.course_code]) courses[record.course_code] = record;
+    }
+
+    const scheduledCodes = [...new Set(courseCodes)];
+    const missingCourses = scheduledCodes.filter(code => !courses[code]).sort();
+    const unscheduledCourses = Object.keys(courses).filter(code => !scheduledCodes.includes(code)).sort();
+
+    return {
+      courses,
+      sheets: [...new Set(records.map(record => record.sheet_name))],
+      missing_courses: missingCourses,
+      unscheduled_courses: unscheduledCourses,
+      summary: {
+        catalog_courses: Object.keys(courses).length,
+        scheduled_courses: scheduledCodes.length,
+        matched_courses: scheduledCodes.length - missingCourses.length,
+        missing_courses: missingCourses.length
+      }
+    };
+  }
+
+  /**
+   * Attach the catalog record of its course to every course group
+   * Groups of courses missing from the catalog get a default record
+   * @param {Array} courseGroups - Parser course groups (updated in place)
+   * @param {Object} catalog - Catalog from buildCatalog
+   */
+  attachToCourseGroups(courseGroups, catalog) {
+    for (const group of courseGroups) {
+      group.catalog = catalog.courses[group.course_code] ||
+        this.createCatalogRecord({ course_code: group.course_code, source: 'default' });
+    }
+    return courseGroups;
+  }
+}
+
+module.exports = CourseCatalogService;
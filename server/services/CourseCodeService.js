@@ -0,0 +1,190 @@
+/**
+ * Course Code Service - canonical course codes and checks for codes that look mistyped
+ * - canonicalize: fixes case ("eec 101"), spacing ("EEC101", "EEC-101", "EEC 101 01"), lookalike
+ *   letters in the number ("EEC 1O1", "EEC l01") and dots or Arabic commas between groups ("EEC 21303.04");
+ *   case and lookalike fixes are skipped for room text ("Lab 301") and, once the timetable's departments
+ *   are known (learnDepartments), for departments it does not use ("Room 204")
+ * - findSuspiciousCodes: codes missing from the catalog sheet or, without a catalog, codes used by a
+ *   single block while a common code is one character away; each comes with the closest known code
+ */
+class CourseCodeService {
+  constructor(options = {}) {
+    // Room text has the shape of a mistyped code ("Lab 301", "Hall 101")
+    this.roomService = options.roomService || null;
+
+    // Departments of codes written in canonical form in the current timetable (see learnDepartments)
+    this.knownDepartments = new Set();
+    this.canonicalCodePattern = /^([A-Z]{2,4}) ?\d{3}(?![A-Za-z])/;
+
+    // Department, separator, 3-digit course number, optional 2-digit group, optional group list
+    this.looseCodePattern = /^([A-Za-z]{2,4})([\s\-_]*)([0-9OoIl]{3})(?:(\s*)([0-9OoIl]{2}))?((?:\s*[.,،/-]\s*[0-9OoIl]{1,2})*)(?![0-9A-Za-z])/;
+    this.lookalikeDigits = { O: '0', o: '0', I: '1', l: '1' };
+
+    // Suggestions further away than this are more likely a different course than a typo
+    this.maxSuggestionDistance = 2;
+
+    // Without a catalog, only codes used by this many blocks are trusted as references
+    this.minReferenceBlocks = 3;
+  }
+
+  /**
+   * Rewrite the course code at the start of a cell in canonical form ("EEC 10101,02")
+   * Text after the code (rooms, names) is kept as is
+   * @param {String} text - Normalized cell text
+   * @returns {Object} { text, corrections } where corrections lists 'case', 'spacing', 'lookalike'
+   *   and 'group_separator' (empty when the code was already canonical or no code was found)
+   */
+  canonicalize(text) {
+    const value = String(text || '');
+    const match = value.match(this.looseCodePattern);
+    if (!match) return { text: value, corrections: [] };
+
+    const [token, dept, separator, number, groupSeparator = '', group = '', groupList] = match;
+    // Mostly letters ("EEC OIl") is a word, not a mistyped number
+    if ((number.match(/\d/g) || []).length < 2) return { text: value, corrections: [] };
+
+    const corrections = [];
+    if (dept !== dept.toUpperCase()) corrections.push('case');
+    if (separator !== ' ' || groupSeparator) corrections.push('spacing');
+    if (/[OoIl]/.test(number + group + groupList)) corrections.push('lookalike');
+    if (/[.،]/.test(groupList)) corrections.push('group_separator');
+
+    if (corrections.length === 0) return { text: value, corrections };
+    if ((corrections.includes('case') || corrections.includes('lookalike')) && !this.isLikelyCode(dept, token)) {
+      return { text: value, corrections: [] };
+    }
+
+    const canonicalGroups = this.replaceLookalikes(groupList).replace(/\s+/g, '').replace(/[.،]/g, ',');
+    const canonicalToken = `${dept.toUpperCase()} ${this.replaceLookalikes(number + group)}${canonicalGroups}`;
+
+    return {
+      text: canonicalToken + value.slice(token.length),
+      corrections
+    };
+  }
+
+  /**
+   * Check whether a token with a mistyped case or lookalike digits is a course code
+   */
+  isLikelyCode(dept, token) {
+    if (this.roomService && this.roomService.findRoom(token)) return false;
+    return this.knownDepartments.size === 0 || this.knownDepartments.has(dept.toUpperCase());
+  }
+
+  /**
+   * Collect the departments of the codes written in canonical form ("EEC 10101" → EEC)
+   * @param {Array} texts - Normalized cell texts of the whole timetable (catalog sheets included)
+   */
+  learnDepartments(texts) {
+    this.knownDepartments = new Set();
+    for (const text of texts) {
+      const match = String(text).match(this.canonicalCodePattern);
+      if (match) this.knownDepartments.add(match[1]);
+    }
+  }
+
+  /**
+   * Replace letters that are commonly typed instead of digits (O → 0, I/l → 1)
+   */
+  replaceLookalikes(text) {
+    return String(text).replace(/[OoIl]/g, letter => this.lookalikeDigits[letter]);
+  }
+
+  /**
+   * Find course codes that are probably typos
+   * @param {Array} scheduleEntries - Parser schedule entries
+   * @param {Object} catalog - Parser catalog (see CourseCatalogService.buildCatalog), may be empty
+   * @returns {Array} { course_code, reason, suggestion, distance, blocks } where reason is
+   *   'not_in_catalog' or 'rare_code' and blocks lists where the code is written
+   */
+  findSuspiciousCodes(scheduleEntries, catalog = null) {
+    const blocksByCode = new Map();
+    for (const entry of scheduleEntries) {
+      if (!blocksByCode.has(entry.course_code)) blocksByCode.set(entry.course_code, new Map());
+      blocksByCode.get(entry.course_code).set(entry.block_id, entry);
+    }
+
+    const catalogCodes = Object.keys(catalog?.courses || {});
+    const suspicious = [];
+
+    for (const [courseCode, blocks] of blocksByCode) {
+      let reason;
+      let candidates;
+
+      if (catalogCodes.length > 0) {
+        if (catalogCodes.includes(courseCode)) continue;
+        reason = 'not_in_catalog';
+        candidates = catalogCodes;
+      } else {
+        // Without a catalog the timetable itself is the reference: a code written once
+        // next to a code used by several blocks is likely a typo of it
+        if (blocks.size > 1) continue;
+        reason = 'rare_code';
+        candidates = [...blocksByCode.keys()].filter(code =>
+          blocksByCode.get(code).size >= this.minReferenceBlocks && this.editDistance(code, courseCode) === 1
+        );
+        if (candidates.length === 0) continue;
+      }
+
+      const closest = this.findClosestCode(courseCode, candidates, code => blocksByCode.get(code)?.size || 0);
+      suspicious.push({
+        course_code: courseCode,
+        reason,
+        suggestion: closest ? closest.code : null,
+        distance: closest ? closest.distance : null,
+        blocks: [...blocks.values()].map(entry => ({
+          sheet_name: entry.sheet_name,
+          range: entry.range || '',
+          raw_text: entry.raw_text
+        }))
+      });
+    }
+
+    return suspicious.sort((a, b) => a.course_code.localeCompare(b.course_code));
+  }
+
+  /**
+   * Find the known code closest to a code
+   * Ties go to the code used by more blocks, then to the alphabetically first code
+   * @param {Function} getUsage - code → number of blocks using it
+   * @returns {Object|null} { code, distance }, or null when nothing is within maxSuggestionDistance
+   */
+  findClosestCode(courseCode, knownCodes, getUsage = () => 0) {
+    let closest = null;
+
+    for (const code of [...knownCodes].sort()) {
+      const distance = this.editDistance(courseCode, code);
+      if (distance > this.maxSuggestionDistance) continue;
+
+      const usage = getUsage(code);
+      if (!closest || distance < closest.distance || (distance === closest.distance && usage > closest.usage)) {
+        closest = { code, distance, usage };
+      }
+    }
+
+    return closest && { code: closest.code, distance: closest.distance };
+  }
+
+  /**
+   * Levenshtein distance between two codes
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+module.exports = CourseCodeService;
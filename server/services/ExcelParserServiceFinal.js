@@ -1,18 +1,44 @@
+const fs = require('fs');
+const path = require('path');
 const XLSX = require('xlsx');
+const { foldArabic, normalizeCellText } = require('../utils/arabic');
+const { createRecurrence, findRecurrence, stripRecurrenceText } = require('../utils/recurrence');
 const { CourseGroup, Session } = require('../models');
+const SessionClassificationService = require('./SessionClassificationService');
+const InstructorService = require('./InstructorService');
+const RoomService = require('./RoomService');
+const LayoutProfileService = require('./LayoutProfileService');
+const TimetableValidationService = require('./TimetableValidationService');
+const CourseCatalogService = require('./CourseCatalogService');
+const CourseCodeService = require('./CourseCodeService');
 
 /**
  * Final Excel Parser Service - Accurate implementation for Arabic university timetable
  * Based on detailed analysis of the Excel structure:
- * - Columns C-J (1-8) represent 45-minute time intervals
- * - Each course block spans 3 rows and 1-3 columns
- * - Row 1: Course code + groups (e.g., "EEC 12305,06")
+ * - A header row lists the time slots (e.g. "9.00 - 9.45"); the slot columns are detected from it
+ *   (columns C-J with 8 slots in the Electrical Engineering sheet)
+ * - Each course block spans 3 rows and one or more columns (taken from the sheet's merged cells)
+ * - Row 1: Course code + groups (e.g., "EEC 12305,06", "EEC 12301-04", "EEC 12301/02/03")
  * - Row 2: Course name in Arabic
  * - Row 3: Hall number (C501) and/or professor name
+ * - Blocks of groups meeting at the same time are stacked under each other in the day band; a block
+ *   ends early where the code row of the next one starts (see measureBlockHeight)
+ * - Any block cell may carry a week-pattern annotation ("أسبوع فردي", "من الأسبوع 5"), stored as the
+ *   session's recurrence (see utils/recurrence)
+ * Other department templates (block height, row roles, days across the top) are described by
+ * layout profiles (see LayoutProfileService); the layout above is the default "ee-3-row" profile.
+ * A course catalog sheet (code, names, credit hours, prerequisites) is read with CourseCatalogService
+ * and its records are attached to the course groups. Course codes are canonicalized before matching
+ * (CourseCodeService); corrections and codes that look mistyped are listed in the diagnostics.
  */
 class ExcelParserServiceFinal {
-  constructor() {
-    // Time slots mapping (columns C-J correspond to 1-8)
+  /**
+   * @param {Object} options - Shared services (used by auto-detection probes) and logging
+   * @param {Boolean} options.verbose - Log every day and block found (default true)
+   */
+  constructor(options = {}) {
+    // Default time slots mapping, used only when a sheet has no detectable slot header row
+    // (columns C-J correspond to 1-8)
     this.timeSlots = [
       { column: 1, time: '9.00 - 9.45', excelCol: 'C' },
       { column: 2, time: '9.45 - 10.30', excelCol: 'D' },
@@ -34,20 +60,75 @@ class ExcelParserServiceFinal {
       'الخميس': 'Thursday',
       'الجمعة': 'Friday'
     };
+    // Folded spellings so "الإثنين" / "الاثنين" / "الأحد" / "الاحد" all match
+    this.foldedDays = Object.entries(this.arabicDays).map(([arabicDay, englishDay]) => [foldArabic(arabicDay), englishDay]);
+    
+    // Building/lab/virtual room recognition (loaded from config/rooms.json)
+    this.roomService = options.roomService || new RoomService();
     
     // Regex patterns
     this.courseCodePattern = /^([A-Z]{2,4})\s*(\d{3})$/;
-    this.sharedGroupPattern = /^([A-Z]{2,4})\s*(\d{3})(\d{2}),(\d{2})$/;
-    this.singleCourseWithRoomPattern = /^([A-Z]{2,4})\s*(\d{3})(\d{2})\s+(C\d{3,4})$/;
-    this.roomPattern = /C\d{3,4}/;
+    this.sharedGroupPattern = /^([A-Z]{2,4})\s*(\d{3})(\d{2})((?:\s*[,/-]\s*\d{1,2})+)(?:\s+([A-Z]{1,3}-?\d{3,4}))?$/;
+    this.singleGroupPattern = /^([A-Z]{2,4})\s*(\d{3})(\d{2})$/;
+    this.singleCourseWithRoomPattern = /^([A-Z]{2,4})\s*(\d{3})(\d{2})\s+([A-Z]{1,3}-?\d{3,4})$/;
+    this.roomPattern = this.roomService.buildingRoomPattern || /(?!)/;
+    this.timeRangePattern = /^(\d{1,2})[.:](\d{2})\s*-\s*(\d{1,2})[.:](\d{2})$/;
+    
+    // Header names accepted for flat (one row per session) CSV files
+    this.flatColumnAliases = {
+      code: ['code', 'course', 'course_code', 'course code', 'الكود', 'كود المقرر', 'رمز المقرر', 'المقرر'],
+      group: ['group', 'group_code', 'section', 'المجموعة', 'الشعبة'],
+      day: ['day', 'day_of_week', 'اليوم'],
+      slot: ['slot', 'period', 'time', 'time_slot', 'الفترة', 'التوقيت', 'الوقت'],
+      span: ['span', 'slots', 'duration', 'عدد الفترات', 'المدة'],
+      room: ['room', 'location', 'hall', 'القاعة', 'المكان'],
+      instructor: ['instructor', 'professor', 'lecturer', 'المحاضر', 'الأستاذ', 'عضو هيئة التدريس'],
+      course_name: ['name', 'course_name', 'course name', 'اسم المقرر'],
+      weeks: ['weeks', 'week_pattern', 'recurrence', 'الأسابيع', 'نمط الأسابيع']
+    };
+    this.requiredFlatColumns = ['code', 'day', 'slot'];
     
     // Track course spans for validation
     this.courseSpanTracker = new Map();
     this.processedBlocks = new Set();
+    this.mergeIndex = new Map();
+    this.spanMethodCounts = { merge: 0, heuristic: 0, explicit: 0 };
+    this.currentSheet = { name: '', origin: { r: 0, c: 0 }, originalData: [], transposed: false };
+    this.diagnostics = this.createEmptyDiagnostics();
+    
+    // Progress callback of the running parse and the detecting share of the current sheet
+    this.onProgress = null;
+    this.progressRange = null;
+    
+    // Lecture/lab/tutorial rules engine (loaded from config/session-type-rules.json)
+    this.sessionClassifier = options.sessionClassifier || new SessionClassificationService();
+    this.instructorService = options.instructorService || new InstructorService();
+    
+    // Department templates (loaded from config/layout-profiles.json)
+    this.layoutProfiles = options.layoutProfiles || new LayoutProfileService();
+    this.profile = this.layoutProfiles.getDefaultProfile();
+    this.verbose = options.verbose !== false;
+    
+    // Room/instructor double-booking checks over the whole timetable
+    this.timetableValidator = options.timetableValidator || new TimetableValidationService();
+    
+    // Credit hours and prerequisites from a catalog sheet
+    this.catalogService = options.catalogService || new CourseCatalogService();
+    this.courseCodes = options.courseCodes || new CourseCodeService({ roomService: this.roomService });
   }
 
   /**
-   * Parse Excel file
+   * Parse a timetable file
+   * Grid workbooks (.xlsx/.xls/.xlsm/.ods, or a grid exported to .csv) go through block detection;
+   * sheets whose first row is a flat session header (code, group, day, slot, ...) are mapped row by row,
+   * and catalog sheets (code, credit hours, ...) are read into the catalog. Catalog sheets are read
+   * even when they are not among the requested sheets.
+   * @param {String} filePath - Path to the uploaded workbook
+   * @param {Object} options - Parse options
+   * @param {Array} options.sheets - Optional list of sheet names to include (defaults to all sheets)
+   * @param {String} options.layoutProfile - Layout profile id, or 'auto' to pick the best profile per sheet
+   * @param {Function} options.onProgress - Optional ({ stage, progress, sheet, day }) callback; stages are
+   *   'reading' (0-10%), 'detecting' (10-80%, reported per sheet and per day) and 'grouping' (80-90%)
    */
   async parseExcelFile(filePath, options = {}) {
     try {
@@ -56,38 +137,143 @@ class ExcelParserServiceFinal {
       // Reset state for each new parse operation
       this.courseSpanTracker = new Map();
       this.processedBlocks = new Set();
+      this.spanMethodCounts = { merge: 0, heuristic: 0, explicit: 0 };
+      this.diagnostics = this.createEmptyDiagnostics();
+      this.onProgress = options.onProgress || null;
+      this.reportProgress('reading', 0);
       
       // Check if file exists
-      const fs = require('fs');
       if (!fs.existsSync(filePath)) {
         throw new Error(`File does not exist: ${filePath}`);
       }
       
-      const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
+      const requestedProfile = options.layoutProfile || 'auto';
+      if (requestedProfile !== 'auto' && !this.layoutProfiles.getProfile(requestedProfile)) {
+        const error = new Error(`Unknown layout profile: ${requestedProfile}`);
+        error.status = 400;
+        throw error;
+      }
       
-      const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1, 
-        defval: '' 
-      });
+      const workbook = this.readWorkbook(filePath);
+      const sheetNames = this.selectSheets(workbook.SheetNames, options.sheets);
+      this.courseCodes.learnDepartments(this.getWorkbookTexts(workbook));
+      this.reportProgress('reading', 10);
+      
+      const scheduleEntries = [];
+      const sheetLayouts = {};
+      const sheetProfiles = {};
+      const catalogRecords = [];
+      
+      for (const [sheetIndex, sheetName] of workbook.SheetNames.entries()) {
+        const worksheet = workbook.Sheets[sheetName];
+        const isSelected = sheetNames.includes(sheetName);
+        
+        // Every sheet gets an equal share of the detecting stage
+        const sheetCount = workbook.SheetNames.length;
+        this.progressRange = { from: 10 + 70 * sheetIndex / sheetCount, to: 10 + 70 * (sheetIndex + 1) / sheetCount };
+        this.reportProgress('detecting', this.progressRange.from, { sheet: sheetName });
+        
+        const originalData = XLSX.utils.sheet_to_json(worksheet, { 
+          header: 1, 
+          defval: '' 
+        });
+        
+        // Match patterns against normalized text (Latin digits, no tatweel or RTL marks);
+        // the original cells are kept for raw_text and diagnostics
+        const rawData = this.normalizeSheetData(originalData);
+        
+        // sheet_to_json starts at the first used cell, which is not always A1
+        const origin = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s : { r: 0, c: 0 };
+        this.currentSheet = { name: sheetName, origin, originalData, transposed: false };
 
-      console.log('🔍 Detecting schedule blocks...');
-      const scheduleEntries = this.detectAllCourseBlocks(rawData);
+        const flatColumns = this.detectFlatColumns(rawData);
+        const catalogColumns = flatColumns ? null : this.catalogService.detectCatalogColumns(rawData);
+        if (catalogColumns) {
+          console.log(`📚 Sheet "${sheetName}": course catalog`);
+          catalogRecords.push(...this.parseCatalogSheet(rawData, catalogColumns, sheetName));
+          if (isSelected) sheetProfiles[sheetName] = { profile: 'catalog', auto_detected: false, scores: [] };
+          continue;
+        }
+        if (!isSelected) continue;
+
+        if (flatColumns) {
+          console.log(`📄 Sheet "${sheetName}": flat session rows`);
+          const flatResult = this.parseFlatSessionRows(rawData, flatColumns, sheetName);
+          sheetLayouts[sheetName] = flatResult.slotLayout;
+          sheetProfiles[sheetName] = { profile: 'flat', auto_detected: false, scores: [] };
+          scheduleEntries.push(...flatResult.entries);
+          continue;
+        }
+
+        const selection = requestedProfile === 'auto'
+          ? this.detectLayoutProfile(worksheet, sheetName)
+          : { profile: this.layoutProfiles.getProfile(requestedProfile), scores: [] };
+        sheetProfiles[sheetName] = {
+          profile: selection.profile.id,
+          auto_detected: requestedProfile === 'auto',
+          scores: selection.scores
+        };
+        console.log(`🧩 Sheet "${sheetName}": layout profile "${selection.profile.id}"`);
+
+        const gridResult = this.parseGridSheet(worksheet, sheetName, selection.profile);
+        sheetLayouts[sheetName] = gridResult.slotLayout;
+        scheduleEntries.push(...gridResult.entries);
+      }
       
-      console.log(`📊 Found ${scheduleEntries.length} schedule entries`);
+      console.log(`📊 Found ${scheduleEntries.length} schedule entries in ${sheetNames.length} sheet(s)`);
+      this.reportProgress('grouping', 80);
+      
+      // Count blocks meeting at the same time on the same day (stacked in one day band)
+      const parallelBlocks = this.buildParallelBlockReport(scheduleEntries);
+      
+      // Flag rooms and instructors booked twice at the same time
+      const slotLayout = this.getSlotLayoutSummary(sheetLayouts);
+      const timetableValidation = this.timetableValidator.validateTimetable(scheduleEntries, { slot_layout: slotLayout });
+      if (!timetableValidation.valid) {
+        console.log(`⚠️ Double bookings: ${timetableValidation.summary.room_conflicts} room, ${timetableValidation.summary.instructor_conflicts} instructor`);
+      }
       
       // Group sessions by course and group
       const groupedSessions = this.groupSessionsByCourseGroup(scheduleEntries);
       
+      // Attach credit hours and prerequisites (defaults for courses missing from the catalog)
+      const catalog = this.catalogService.buildCatalog(catalogRecords, scheduleEntries.map(entry => entry.course_code));
+      this.catalogService.attachToCourseGroups(groupedSessions, catalog);
+      if (catalogRecords.length > 0 && catalog.missing_courses.length > 0) {
+        console.log(`⚠️ Courses missing from the catalog: ${catalog.missing_courses.join(', ')}`);
+      }
+      
+      // Codes that match no catalog entry (or no other block) are likely typos
+      for (const suspicious of this.courseCodes.findSuspiciousCodes(scheduleEntries, catalog)) {
+        const [firstBlock] = suspicious.blocks;
+        this.diagnostics.suspicious_codes.push({
+          sheet: firstBlock.sheet_name,
+          address: firstBlock.range.split(':')[0],
+          raw: firstBlock.raw_text,
+          ...suspicious
+        });
+      }
+      
       // Validate span consistency
       this.validateSpanConsistency();
+      this.reportProgress('grouping', 90);
       
       return {
         course_groups: groupedSessions,
         schedule_entries: scheduleEntries,
         span_statistics: this.getSpanStatistics(),
-        parsing_summary: this.getParsingSummary(scheduleEntries)
+        parsing_summary: this.getParsingSummary(scheduleEntries, sheetNames),
+        slot_layout: slotLayout,
+        instructor_index: this.instructorService.buildInstructorIndex(scheduleEntries),
+        room_index: this.roomService.buildRoomIndex(scheduleEntries),
+        parallel_blocks: parallelBlocks,
+        timetable_validation: timetableValidation,
+        catalog,
+        layout_profile: {
+          requested: requestedProfile,
+          sheets: sheetProfiles
+        },
+        diagnostics: this.getDiagnosticsReport()
       };
       
     } catch (error) {
@@ -96,77 +282,725 @@ class ExcelParserServiceFinal {
     }
   }
 
+  /**
+   * Send a progress update to the onProgress callback of the current parse, if any
+   * @param {String} stage - 'reading', 'detecting' or 'grouping'
+   * @param {Number} progress - Overall percentage (0-100)
+   * @param {Object} details - { sheet, day } being processed
+   */
+  reportProgress(stage, progress, details = {}) {
+    if (!this.onProgress) return;
+    this.onProgress({ stage, progress: Math.round(progress), ...details });
+  }
+
+  /**
+   * Report detecting progress within the current sheet's share of the stage
+   * @param {Number} fraction - Share of the sheet's rows already read (0-1)
+   */
+  reportSheetProgress(fraction, details) {
+    if (!this.progressRange) return;
+    const { from, to } = this.progressRange;
+    this.reportProgress('detecting', from + (to - from) * fraction, details);
+  }
+
+  /**
+   * Parse a grid sheet with a layout profile
+   * @param {Object} worksheet - SheetJS worksheet
+   * @param {String} sheetName - Name of the sheet
+   * @param {Object} profile - Layout profile (see LayoutProfileService)
+   * @returns {Object} { entries, slotLayout }
+   */
+  parseGridSheet(worksheet, sheetName, profile) {
+    this.profile = profile;
+    const transposed = profile.orientation === 'columns';
+    
+    // Days-across sheets are transposed so days run down the rows like the default template
+    const sheetData = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+    const originalData = transposed ? this.transposeRows(sheetData) : sheetData;
+    const rawData = this.normalizeSheetData(originalData);
+    const origin = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s : { r: 0, c: 0 };
+    
+    // Block positions are only meaningful within a single sheet
+    this.processedBlocks = new Set();
+    this.currentSheet = { name: sheetName, origin, originalData, transposed };
+    this.mergeIndex = this.buildMergeIndex(worksheet['!merges'], origin, transposed);
+    
+    const slotLayout = this.detectSlotLayout(rawData);
+    if (this.verbose) {
+      console.log(`🕘 Sheet "${sheetName}": ${slotLayout.slots.length} time slots (${slotLayout.detected ? `header row ${slotLayout.header_row}` : 'default layout'})`);
+      console.log(`🔍 Detecting schedule blocks in sheet "${sheetName}"...`);
+    }
+    
+    const entries = this.detectAllCourseBlocks(rawData, sheetName, slotLayout);
+    return { entries, slotLayout };
+  }
+
+  /**
+   * Score every layout profile against a sheet and pick the best one
+   * Each profile is tried on a separate probe parser so the real parse state is untouched
+   * @returns {Object} { profile, scores } where scores are ordered like the profiles
+   */
+  detectLayoutProfile(worksheet, sheetName) {
+    const scores = this.layoutProfiles.getProfiles().map(profile => {
+      const probe = new ExcelParserServiceFinal({
+        sessionClassifier: this.sessionClassifier,
+        instructorService: this.instructorService,
+        roomService: this.roomService,
+        layoutProfiles: this.layoutProfiles,
+        verbose: false
+      });
+      const { entries } = probe.parseGridSheet(worksheet, sheetName, profile);
+      return { profile: profile.id, ...probe.scoreLayout(entries) };
+    });
+    
+    // Ties keep the earlier profile, so the config order acts as a preference
+    const best = scores.reduce((top, candidate) => (candidate.score > top.score ? candidate : top));
+    return { profile: this.layoutProfiles.getProfile(best.profile), scores };
+  }
+
+  /**
+   * Score how well the active profile explains a parsed sheet
+   * Complete blocks count most; incomplete blocks, leftover grid text and fallback codes count against it
+   * @param {Array} entries - Schedule entries found with the profile
+   */
+  scoreLayout(entries) {
+    const blocks = new Set(entries.map(entry => entry.block_id)).size;
+    const incompleteBlocks = this.diagnostics.incomplete_blocks.length;
+    const unconsumedCells = this.diagnostics.unconsumed_cells.length;
+    const fallbackMatches = this.diagnostics.fallback_matches.length;
+    
+    const score = (blocks - incompleteBlocks) * 2 + incompleteBlocks - unconsumedCells * 0.5 - fallbackMatches;
+    
+    return {
+      score,
+      blocks,
+      incomplete_blocks: incompleteBlocks,
+      unconsumed_cells: unconsumedCells,
+      fallback_matches: fallbackMatches
+    };
+  }
+
+  /**
+   * Swap rows and columns of a sheet
+   */
+  transposeRows(rows) {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    return Array.from({ length: width }, (_, col) => rows.map(row => (row[col] !== undefined ? row[col] : '')));
+  }
+
+  /**
+   * Read a workbook from disk
+   * CSV is read as UTF-8 text with values kept as strings, so Arabic text survives
+   * and group codes such as "01" keep their leading zero
+   */
+  readWorkbook(filePath) {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+      const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+      return XLSX.read(text, { type: 'string', raw: true });
+    }
+    
+    return XLSX.readFile(filePath);
+  }
+
+  /**
+   * Detect a flat session header in the first non-empty row of a sheet
+   * @param {Array} rawData - Normalized sheet rows
+   * @returns {Object|null} { header_row, columns: { code: index, ... } } or null for grid sheets
+   */
+  detectFlatColumns(rawData) {
+    const headerRow = rawData.findIndex(row => row.some(cell => String(cell).trim()));
+    if (headerRow === -1) return null;
+    
+    const foldedAliases = Object.entries(this.flatColumnAliases).map(([field, aliases]) =>
+      [field, aliases.map(alias => foldArabic(alias.toLowerCase()))]
+    );
+    
+    const columns = {};
+    rawData[headerRow].forEach((cell, colIndex) => {
+      const header = foldArabic(String(cell).toLowerCase());
+      const match = foldedAliases.find(([field, aliases]) => !(field in columns) && aliases.includes(header));
+      if (match) columns[match[0]] = colIndex;
+    });
+    
+    const hasRequired = this.requiredFlatColumns.every(field => field in columns);
+    return hasRequired ? { header_row: headerRow, columns } : null;
+  }
+
+  /**
+   * Map flat session rows (one row per session) straight into schedule entries
+   * Rows that cannot be mapped are reported in diagnostics.row_errors and skipped
+   * @param {Array} rawData - Normalized sheet rows
+   * @param {Object} flatColumns - Header row and column indexes (see detectFlatColumns)
+   * @param {String} sheetName - Name of the sheet the rows belong to
+   * @returns {Object} { entries, slotLayout }
+   */
+  parseFlatSessionRows(rawData, flatColumns, sheetName) {
+    const { header_row: headerRow, columns } = flatColumns;
+    const cell = (row, field) => (field in columns ? String(row[columns[field]] ?? '').trim() : '');
+    const dataRows = rawData
+      .map((row, rowIndex) => ({ row, rowIndex }))
+      .filter(({ row, rowIndex }) => rowIndex > headerRow && row.some(value => String(value).trim()));
+    
+    const slotLayout = this.buildFlatSlotLayout(dataRows.map(({ row }) => cell(row, 'slot')), headerRow);
+    const entries = [];
+    
+    for (const { row, rowIndex } of dataRows) {
+      const errors = [];
+      
+      const courseInfo = this.parseFlatCourse(cell(row, 'code'), cell(row, 'group'));
+      if (courseInfo.error) errors.push(courseInfo.error);
+      
+      const dayText = cell(row, 'day');
+      const day = this.findDayName(dayText) || this.findEnglishDayName(dayText);
+      if (!day) errors.push(`Unknown day "${dayText}"`);
+      
+      const slotText = cell(row, 'slot');
+      const slotIndex = this.findFlatSlotIndex(slotText, slotLayout.slots);
+      if (slotIndex === -1) errors.push(`Unknown time slot "${slotText}"`);
+      
+      const spanText = cell(row, 'span');
+      const span = spanText ? Number(spanText) : 1;
+      if (!Number.isInteger(span) || span < 1) {
+        errors.push(`Invalid span "${spanText}"`);
+      } else if (slotIndex !== -1 && slotIndex + span > slotLayout.slots.length) {
+        errors.push(`Span ${span} from slot ${slotIndex + 1} runs past the last time slot`);
+      }
+      
+      if (errors.length > 0) {
+        this.addDiagnostic('row_errors', rowIndex, 0, cell(row, 'code'), {
+          row_number: rowIndex + this.currentSheet.origin.r + 1,
+          line: (this.currentSheet.originalData[rowIndex] || []).join(', '),
+          errors
+        });
+        continue;
+      }
+      
+      if (courseInfo.corrections.length > 0) {
+        this.addDiagnostic('code_corrections', rowIndex, columns.code, cell(row, 'code'), {
+          row_number: rowIndex + this.currentSheet.origin.r + 1,
+          from: cell(row, 'code'),
+          to: courseInfo.canonicalText,
+          corrections: courseInfo.corrections
+        });
+      }
+      
+      const roomText = cell(row, 'room');
+      const roomDetails = roomText
+        ? this.roomService.parseRoom(roomText) ||
+          this.roomService.createRoom({ raw: roomText, code: roomText, name: roomText, type: 'classroom' })
+        : null;
+      const instructor = cell(row, 'instructor');
+      const weeksText = cell(row, 'weeks');
+      const recurrenceMatch = findRecurrence(weeksText);
+      if (weeksText && !recurrenceMatch) {
+        this.addDiagnostic('row_errors', rowIndex, 0, cell(row, 'code'), {
+          row_number: rowIndex + this.currentSheet.origin.r + 1,
+          line: (this.currentSheet.originalData[rowIndex] || []).join(', '),
+          errors: [`Unknown week pattern "${weeksText}" (treated as every week)`]
+        });
+      }
+      
+      this.spanMethodCounts.explicit++;
+      this.trackCourseSpan(courseInfo.courseCode, span);
+      
+      const courseBlock = {
+        courseCode: courseInfo.courseCode,
+        groups: courseInfo.groups,
+        groupNotation: courseInfo.groupNotation,
+        courseName: cell(row, 'course_name'),
+        room: roomDetails ? roomDetails.code : '',
+        roomDetails,
+        instructor,
+        instructors: this.instructorService.parseInstructors(instructor),
+        recurrence: recurrenceMatch ? recurrenceMatch.recurrence : createRecurrence(),
+        blockId: `${sheetName}!${this.toCellAddress(rowIndex, 0)}`,
+        rawText: (this.currentSheet.originalData[rowIndex] || []).join(', '),
+        span,
+        spanMethod: 'explicit',
+        startRow: rowIndex,
+        startCol: 0,
+        source: this.buildSourceReference(
+          rowIndex, 0, rowIndex, Math.max(0, row.length - 1),
+          [(this.currentSheet.originalData[rowIndex] || []).join(', ')]
+        )
+      };
+      
+      entries.push(...this.createScheduleEntries(courseBlock, day, slotLayout.slots[slotIndex], sheetName));
+    }
+    
+    return { entries, slotLayout };
+  }
+
+  /**
+   * Read a catalog sheet into catalog records
+   * Unreadable rows are reported in diagnostics.row_errors and skipped
+   * @param {Array} rawData - Normalized sheet rows
+   * @param {Object} catalogColumns - Header row and column indexes (see CourseCatalogService.detectCatalogColumns)
+   * @param {String} sheetName - Name of the catalog sheet
+   * @returns {Array} Catalog records
+   */
+  parseCatalogSheet(rawData, catalogColumns, sheetName) {
+    const { courses, errors } = this.catalogService.parseCatalogRows(rawData, catalogColumns);
+    
+    for (const error of errors) {
+      this.addDiagnostic('row_errors', error.row, error.col, error.raw, {
+        row_number: error.row + this.currentSheet.origin.r + 1,
+        line: (this.currentSheet.originalData[error.row] || []).join(', '),
+        errors: error.errors
+      });
+    }
+    
+    return courses.map(({ row, record }) => ({
+      ...record,
+      sheet_name: sheetName,
+      address: this.toCellAddress(row, catalogColumns.columns.code)
+    }));
+  }
+
+  /**
+   * Parse the code and group columns of a flat row
+   * The group may be its own column ("01", "01-04", "05,06") or part of the code ("EEC 11301")
+   * @returns {Object} { courseCode, groups, groupNotation } or { error }
+   */
+  parseFlatCourse(codeText, groupText) {
+    // Typos such as "eec101" are fixed the same way as in grid cells
+    const { text: code, corrections } = this.courseCodes.canonicalize(codeText);
+    
+    if (groupText) {
+      const codeMatch = code.match(this.courseCodePattern);
+      const groups = this.expandGroupList(groupText);
+      if (!codeMatch) return { error: `Invalid course code "${codeText}"` };
+      if (groups.length === 0) return { error: `Invalid group "${groupText}"` };
+      
+      return {
+        courseCode: `${codeMatch[1]} ${codeMatch[2]}`,
+        groups,
+        groupNotation: groupText.replace(/\s+/g, ''),
+        corrections,
+        canonicalText: code
+      };
+    }
+    
+    // Without a group column the code must carry the group
+    const courseInfo = this.matchCourseCell(code);
+    if (!courseInfo || courseInfo.pattern === 'fallback' || courseInfo.groups.length === 0) {
+      return { error: `Course code "${codeText}" has no group` };
+    }
+    return { ...courseInfo, corrections, canonicalText: code };
+  }
+
+  /**
+   * Build the slot layout for flat rows
+   * The default layout is kept whole (a session's span covers consecutive slots, so the grid must
+   * not shrink to the times a file happens to use); time ranges missing from it are added in order
+   */
+  buildFlatSlotLayout(slotValues, headerRow) {
+    const defaultTimes = this.timeSlots.map(slot => slot.time);
+    const times = [...new Set(slotValues.map(value => this.normalizeTimeRange(value)).filter(Boolean))];
+    const extraTimes = times.filter(time => !defaultTimes.includes(time));
+    
+    if (extraTimes.length === 0) {
+      return { detected: times.length > 0, header_row: times.length > 0 ? headerRow : -1, slots: this.timeSlots.map(slot => ({ ...slot })) };
+    }
+    
+    // Afternoon times are often written without 24h clock ("2.00"), so hours before 8 count as pm
+    const toMinutes = time => {
+      const [hour, minute] = time.split(' - ')[0].split('.').map(Number);
+      return (hour < 8 ? hour + 12 : hour) * 60 + minute;
+    };
+    const allTimes = [...defaultTimes, ...extraTimes].sort((a, b) => toMinutes(a) - toMinutes(b));
+    
+    return {
+      detected: true,
+      header_row: headerRow,
+      slots: allTimes.map((time, index) => ({ column: index + 1, time, excelCol: null }))
+    };
+  }
+
+  /**
+   * Resolve a flat slot value (slot number, time range or start time) to a slot index
+   * Slot numbers index the default layout, whatever times the file added to it
+   * @returns {Number} Index into slots, or -1
+   */
+  findFlatSlotIndex(slotText, slots) {
+    if (/^\d+$/.test(slotText)) {
+      const defaultSlot = this.timeSlots[Number(slotText) - 1];
+      return defaultSlot ? slots.findIndex(slot => slot.time === defaultSlot.time) : -1;
+    }
+    
+    const time = this.normalizeTimeRange(slotText);
+    if (time) return slots.findIndex(slot => slot.time === time);
+    
+    const startMatch = slotText.match(/^(\d{1,2})[.:](\d{2})$/);
+    if (!startMatch) return -1;
+    const startTime = `${Number(startMatch[1])}.${startMatch[2]}`;
+    return slots.findIndex(slot => slot.time.split(' - ')[0] === startTime);
+  }
+
+  /**
+   * Find an English day name (e.g. "monday", "Mon")
+   */
+  findEnglishDayName(cellValue) {
+    const value = cellValue.toLowerCase();
+    if (value.length < 3) return null;
+    return Object.values(this.arabicDays).find(day => day.toLowerCase().startsWith(value)) || null;
+  }
+
+  /**
+   * Normalized text of every non-empty text cell in the workbook
+   */
+  getWorkbookTexts(workbook) {
+    return Object.values(workbook.Sheets).flatMap(worksheet => Object.keys(worksheet)
+      .filter(address => !address.startsWith('!') && typeof worksheet[address].v === 'string')
+      .map(address => normalizeCellText(worksheet[address].v)));
+  }
+
+  /**
+   * Normalize every cell of a sheet before pattern matching (see normalizeCellText)
+   * @param {Array} originalData - Sheet rows as returned by sheet_to_json
+   * @returns {Array} Rows of normalized strings with the same shape
+   */
+  normalizeSheetData(originalData) {
+    return originalData.map(row => row.map(cell => (cell === '' ? '' : normalizeCellText(cell))));
+  }
+
+  /**
+   * Get the original (un-normalized) text of a cell in the current sheet
+   */
+  getOriginalCellText(row, col) {
+    const originalRow = this.currentSheet.originalData[row] || [];
+    return String(originalRow[col] ?? '').trim();
+  }
+
+  /**
+   * Resolve which sheets of the workbook should be parsed
+   * @param {Array} availableSheets - Sheet names present in the workbook
+   * @param {Array} requestedSheets - Sheet names requested by the caller (optional)
+   * @returns {Array} Sheet names to parse, in workbook order
+   */
+  selectSheets(availableSheets, requestedSheets) {
+    if (!requestedSheets || requestedSheets.length === 0) {
+      return [...availableSheets];
+    }
+    
+    // Sheet names often carry stray whitespace (e.g. "2016 "), so compare trimmed names
+    const requested = new Set(requestedSheets.map(name => String(name).trim()));
+    const selected = availableSheets.filter(name => requested.has(name.trim()));
+    
+    if (selected.length === 0) {
+      const error = new Error(
+        `None of the requested sheets were found. Available sheets: ${availableSheets.join(', ')}`
+      );
+      error.status = 400;
+      throw error;
+    }
+    
+    const missing = [...requested].filter(name => !availableSheets.some(s => s.trim() === name));
+    if (missing.length > 0) {
+      console.log(`⚠️ Requested sheets not found: ${missing.join(', ')}`);
+    }
+    
+    return selected;
+  }
+
   /**
    * Detect all course blocks in the Excel data
+   * @param {Array} rawData - Sheet rows as returned by sheet_to_json
+   * @param {String} sheetName - Name of the sheet the rows belong to
+   * @param {Object} slotLayout - Detected time slot layout (see detectSlotLayout)
    */
-  detectAllCourseBlocks(rawData) {
+  detectAllCourseBlocks(rawData, sheetName = '', slotLayout = this.detectSlotLayout(rawData)) {
+    const dayColumn = this.profile.day_column;
     const scheduleEntries = [];
+    const gridRows = [];
     let currentDay = null;
+    let dayBand = null;
+    let slots = slotLayout.slots;
     
     for (let rowIndex = 0; rowIndex < rawData.length; rowIndex++) {
       const row = rawData[rowIndex];
       
-      // Check for day name in column A (index 0)
-      const dayCell = String(row[0] || '').trim();
+      // A sheet may repeat the slot header for each level; follow the latest one
+      const headerSlots = this.buildSlotsFromRow(row);
+      if (headerSlots) {
+        slots = headerSlots;
+        currentDay = null;
+        continue;
+      }
+      
+      // Check for day name in the profile's day column; the day row also holds the first block row
+      const dayCell = String(row[dayColumn] || '').trim();
       const foundDay = this.findDayName(dayCell);
       if (foundDay) {
         currentDay = foundDay;
-        console.log(`📅 Day: ${dayCell} → ${foundDay} (Row ${rowIndex})`);
+        dayBand = this.toCellAddress(rowIndex, dayColumn);
+        if (this.verbose) console.log(`📅 Day: ${dayCell} → ${foundDay} (Row ${rowIndex})`);
+        this.reportSheetProgress(rowIndex / rawData.length, { sheet: sheetName, day: foundDay });
+      } else if (dayCell) {
+        // Any other text in the day column (signatures, titles) ends the grid
+        currentDay = null;
         continue;
       }
       
       // Skip if no current day
       if (!currentDay) continue;
+      gridRows.push({ rowIndex, slots });
       
-      // Check each time slot column (C-J = indices 2-9)
-      for (let colIndex = 2; colIndex <= 9; colIndex++) {
-        const timeSlotIndex = colIndex - 2; // Convert to 0-based index for timeSlots array
-        const timeSlot = this.timeSlots[timeSlotIndex];
-        
-        if (!timeSlot) continue;
+      // Check each detected time slot column
+      for (const timeSlot of slots) {
+        const colIndex = timeSlot.col_index;
         
         // Check if this position is already processed
         const blockId = `${rowIndex}-${colIndex}`;
         if (this.processedBlocks.has(blockId)) continue;
         
         // Try to detect a course block starting at this position
-        const courseBlock = this.detectCourseBlock(rawData, rowIndex, colIndex);
+        const courseBlock = this.detectCourseBlock(rawData, rowIndex, colIndex, slots);
         
         if (courseBlock) {
           // Mark all cells in this block as processed
-          this.markBlockAsProcessed(rowIndex, colIndex, courseBlock.span);
+          this.markBlockAsProcessed(rowIndex, colIndex, courseBlock.span, courseBlock.rowCount);
           
           // Create schedule entries for this block
-          const entries = this.createScheduleEntries(courseBlock, currentDay, timeSlot);
+          const entries = this.createScheduleEntries(courseBlock, currentDay, timeSlot, sheetName, dayBand);
           scheduleEntries.push(...entries);
           
-          console.log(`🎯 Block at (${rowIndex},${colIndex}): ${courseBlock.courseCode} Groups: [${courseBlock.groups.join(',')}] Span: ${courseBlock.span}`);
+          if (this.verbose) {
+            console.log(`🎯 Block at (${rowIndex},${colIndex}): ${courseBlock.courseCode} Groups: [${courseBlock.groups.join(',')}] Span: ${courseBlock.span} (${courseBlock.spanMethod})`);
+          }
         }
       }
     }
     
+    this.collectUnconsumedCells(rawData, gridRows);
+    
     return scheduleEntries;
   }
 
+  /**
+   * Locate the time slot header row and build the slot map from it
+   * @param {Array} rawData - Sheet rows as returned by sheet_to_json
+   * @returns {Object} Slot layout: header row, slots with their columns, and whether it was detected
+   */
+  detectSlotLayout(rawData) {
+    for (let rowIndex = 0; rowIndex < rawData.length; rowIndex++) {
+      const slots = this.buildSlotsFromRow(rawData[rowIndex]);
+      if (slots) {
+        return {
+          detected: true,
+          header_row: rowIndex,
+          slots
+        };
+      }
+    }
+    
+    // No header row found: fall back to the profile's slot columns (C-J by default)
+    const { start, end } = this.profile.slot_columns || { start: 'C', end: 'J' };
+    const firstCol = this.fromSheetColumnLabel(start);
+    const slotCount = Math.min(this.fromSheetColumnLabel(end) - firstCol + 1, this.timeSlots.length);
+    const slots = this.timeSlots
+      .slice(0, slotCount)
+      .map((slot, index) => ({
+        column: slot.column,
+        time: slot.time,
+        excelCol: this.toSheetColumnLabel(firstCol + index),
+        col_index: firstCol + index
+      }))
+      .filter(slot => slot.col_index >= 0);
+    
+    return {
+      detected: false,
+      header_row: -1,
+      slots
+    };
+  }
+
+  /**
+   * Label of a rawData column in the sheet: its column letter, or its row number for transposed sheets
+   */
+  toSheetColumnLabel(colIndex) {
+    const { origin, transposed } = this.currentSheet;
+    return transposed
+      ? XLSX.utils.encode_row(origin.r + colIndex)
+      : XLSX.utils.encode_col(origin.c + colIndex);
+  }
+
+  /**
+   * rawData column index of a sheet column label (see toSheetColumnLabel)
+   */
+  fromSheetColumnLabel(label) {
+    const { origin, transposed } = this.currentSheet;
+    return transposed
+      ? XLSX.utils.decode_row(String(label)) - origin.r
+      : XLSX.utils.decode_col(String(label)) - origin.c;
+  }
+
+  /**
+   * Build the slot map from a row if it looks like a time slot header
+   * @param {Array} row - A single sheet row
+   * @returns {Array|null} Slots ordered left to right, or null if the row is not a header row
+   */
+  buildSlotsFromRow(row) {
+    if (!row) return null;
+    
+    const slots = [];
+    
+    for (let colIndex = 0; colIndex < row.length; colIndex++) {
+      const time = this.normalizeTimeRange(row[colIndex]);
+      if (!time) continue;
+      
+      slots.push({
+        column: slots.length + 1,
+        time,
+        excelCol: this.toSheetColumnLabel(colIndex),
+        col_index: colIndex
+      });
+    }
+    
+    // A single time-looking cell is not enough to call it a header row
+    return slots.length >= 2 ? slots : null;
+  }
+
+  /**
+   * Normalize a time range cell (e.g. "10.40-  11.25" → "10.40 - 11.25")
+   * @returns {String|null} Normalized time range or null if the cell is not a time range
+   */
+  normalizeTimeRange(value) {
+    const match = String(value || '').trim().match(this.timeRangePattern);
+    if (!match) return null;
+    
+    const [, startHour, startMinute, endHour, endMinute] = match;
+    return `${Number(startHour)}.${startMinute} - ${Number(endHour)}.${endMinute}`;
+  }
+
+  /**
+   * Summarize detected slot layouts for the parse result
+   * @param {Object} sheetLayouts - Slot layout per sheet name
+   * @returns {Object} Canonical slot list plus the per-sheet layouts
+   */
+  getSlotLayoutSummary(sheetLayouts) {
+    const layouts = Object.values(sheetLayouts);
+    const primary = layouts.find(layout => layout.detected) || layouts[0];
+    
+    const sheets = {};
+    for (const [sheetName, layout] of Object.entries(sheetLayouts)) {
+      sheets[sheetName] = {
+        detected: layout.detected,
+        header_row: layout.header_row,
+        slots: layout.slots.map(({ column, time, excelCol }) => ({ column, time, excelCol }))
+      };
+    }
+    
+    return {
+      slots: primary ? sheets[Object.keys(sheetLayouts).find(name => sheetLayouts[name] === primary)].slots : [],
+      sheets
+    };
+  }
+
+  /**
+   * Index the sheet's merged ranges by their top-left cell
+   * @param {Array} merges - Worksheet '!merges' ranges (sheet coordinates)
+   * @param {Object} origin - Sheet coordinates of rawData[0][0]
+   * @param {Boolean} transposed - Whether rawData is the transposed sheet
+   * @returns {Map} Map of "row-col" (rawData coordinates) to the merged range in rawData coordinates
+   */
+  buildMergeIndex(merges = [], origin = { r: 0, c: 0 }, transposed = false) {
+    const index = new Map();
+    
+    for (const merge of merges || []) {
+      const start = { r: merge.s.r - origin.r, c: merge.s.c - origin.c };
+      const end = { r: merge.e.r - origin.r, c: merge.e.c - origin.c };
+      const range = transposed
+        ? { s: { r: start.c, c: start.r }, e: { r: end.c, c: end.r } }
+        : { s: start, e: end };
+      index.set(`${range.s.r}-${range.s.c}`, range);
+    }
+    
+    return index;
+  }
+
   /**
    * Detect a single course block starting at the given position
+   * @param {Array} slots - Time slots of the current grid, used to bound the span
    */
-  detectCourseBlock(rawData, startRow, startCol) {
-    const cellValue = String(rawData[startRow][startCol] || '').trim();
-    if (!cellValue) return null;
+  detectCourseBlock(rawData, startRow, startCol, slots = []) {
+    // Some templates write the room in its own cell left of the code ("C510" | "EEC 10101,02");
+    // the block then starts at the room cell
+    const leadCodeCol = this.findCodeColumnAfterRoom(rawData, startRow, startCol);
+    const codeCol = leadCodeCol !== -1 ? leadCodeCol : startCol;
+    const rawCellValue = String(rawData[startRow][codeCol] || '').trim();
+    if (!rawCellValue) return null;
     
-    // Parse the cell value to extract course information
+    // Parse the cell value (without any week-pattern annotation) to extract course information
+    const cellValue = stripRecurrenceText(rawCellValue);
     const courseInfo = this.parseCourseCell(cellValue);
     if (!courseInfo) return null;
     
-    // Calculate horizontal span (how many columns this block occupies)
-    const span = this.calculateHorizontalSpan(rawData, startRow, startCol);
+    if (courseInfo.pattern === 'fallback') {
+      this.addDiagnostic('fallback_matches', startRow, startCol, cellValue, {
+        course_code: courseInfo.courseCode,
+        groups: courseInfo.groups
+      });
+    }
+    if (courseInfo.corrections.length > 0) {
+      this.addDiagnostic('code_corrections', startRow, codeCol, cellValue, {
+        from: cellValue,
+        to: courseInfo.canonicalText,
+        corrections: courseInfo.corrections
+      });
+    }
+    if (courseInfo.groups.length === 0) {
+      this.addDiagnostic('suspicious_codes', startRow, codeCol, cellValue, {
+        course_code: courseInfo.courseCode,
+        reason: 'missing_group',
+        suggestion: null,
+        distance: null
+      });
+    }
     
-    // Extract course name from row 2 of the block
-    const courseName = this.extractCourseName(rawData, startRow + 1, startCol, span);
+    // Calculate horizontal span (how many columns this block occupies); a block stacked right
+    // under this one may start before block_height rows, so the block is cut short there
+    const codeColumns = codeCol - startCol + 1;
+    const { span, method: spanMethod } = this.calculateHorizontalSpan(
+      rawData, startRow, startCol, slots, this.measureBlockHeight(rawData, startRow, startCol, codeColumns), codeColumns
+    );
+    this.spanMethodCounts[spanMethod]++;
+    const rowCount = this.measureBlockHeight(rawData, startRow, startCol, span);
+    const rowInBlock = offset => offset !== null && offset < rowCount;
     
-    // Extract room and instructor from row 3 of the block
-    const { room, instructor } = this.extractRoomAndInstructor(rawData, startRow + 2, startCol, span, cellValue);
+    // Extract course name from the profile's name row (row 2 by default)
+    const { rows, block_height: blockHeight } = this.profile;
+    const courseName = rowInBlock(rows.name)
+      ? this.extractCourseName(rawData, startRow + rows.name, startCol, span)
+      : '';
+    
+    // Extract room and instructor (row 3 by default); a lead room cell is part of the code row
+    const codeRowText = [codeCol > startCol ? rawData[startRow][startCol] : '', cellValue].join(' ').trim();
+    const { room: roomDetails, instructor } = this.extractRoomAndInstructor(
+      rawData, startRow, startCol, span, codeRowText, { rowCount, codeColumns }
+    );
+    const room = roomDetails ? roomDetails.code : '';
+    
+    // Odd/even-week or week-range annotation anywhere in the block
+    const recurrence = this.findBlockRecurrence(rawData, startRow, startCol, span, rowCount);
+    
+    // Report blocks whose name or room/instructor rows are empty (or taken by a stacked block)
+    const missingRows = [];
+    const detailsRow = rows.instructor !== null ? rows.instructor : rows.room;
+    const isRowEmpty = offset => !rowInBlock(offset) || this.isBlockRowEmpty(rawData, startRow + offset, startCol, span);
+    if (rows.name !== null && isRowEmpty(rows.name)) {
+      missingRows.push('course_name');
+    }
+    if (detailsRow && isRowEmpty(detailsRow) && !room) {
+      missingRows.push('room_instructor');
+    }
+    if (missingRows.length > 0) {
+      this.addDiagnostic('incomplete_blocks', startRow, startCol, cellValue, {
+        course_code: courseInfo.courseCode,
+        range: this.toRangeAddress(startRow, startCol, startRow + blockHeight - 1, startCol + span - 1),
+        missing_rows: missingRows
+      });
+    }
     
     // Track span for this course
     this.trackCourseSpan(courseInfo.courseCode, span);
@@ -174,90 +1008,279 @@ class ExcelParserServiceFinal {
     return {
       courseCode: courseInfo.courseCode,
       groups: courseInfo.groups,
+      groupNotation: courseInfo.groupNotation,
       courseName: courseName,
       room: room,
+      roomDetails: roomDetails,
       instructor: instructor,
+      instructors: this.instructorService.parseInstructors(instructor),
+      recurrence: recurrence,
+      blockId: `${this.currentSheet.name}!${this.toCellAddress(startRow, startCol)}`,
+      rawText: [codeCol > startCol ? this.getOriginalCellText(startRow, startCol) : '', this.getOriginalCellText(startRow, codeCol)]
+        .filter(Boolean)
+        .join(' '),
       span: span,
+      spanMethod: spanMethod,
+      rowCount: rowCount,
       startRow: startRow,
-      startCol: startCol
+      startCol: startCol,
+      source: this.buildSourceReference(
+        startRow, startCol, startRow + rowCount - 1, startCol + span - 1,
+        Array.from({ length: rowCount }, (_, offset) => this.getBlockRowText(startRow + offset, startCol, span))
+      )
     };
   }
 
+  /**
+   * Find the code cell of a block whose room is written in its own cell left of the code
+   * ("C510" | "EEC 10101,02", or "C405" | "" | "EEC 12101,02"); only profiles with
+   * room_before_code read rooms this way
+   * @returns {Number} Column of the code cell, or -1 when the cell is not a lead room cell
+   */
+  findCodeColumnAfterRoom(rawData, row, col) {
+    if (!this.profile.room_before_code) return -1;
+    
+    const value = String(rawData[row][col] || '').trim();
+    const found = value && this.roomService.findRoom(value);
+    if (!found || found.matchedText.trim() !== value) return -1;
+    
+    // The code is the next non-empty cell, at most two empty cells further right
+    for (let codeCol = col + 1; codeCol <= col + 3 && codeCol < rawData[row].length; codeCol++) {
+      const nextValue = stripRecurrenceText(String(rawData[row][codeCol] || '').trim());
+      if (!nextValue) continue;
+      return this.parseCourseCell(nextValue) ? codeCol : -1;
+    }
+    
+    return -1;
+  }
+
+  /**
+   * Count the rows of a block: block_height, unless a day name or the code row of another block
+   * (stacked under this one in the same day band) appears first
+   * @param {Number} span - Columns to check, starting at startCol
+   * @returns {Number} Rows belonging to the block (1..block_height)
+   */
+  measureBlockHeight(rawData, startRow, startCol, span) {
+    for (let rowOffset = 1; rowOffset < this.profile.block_height; rowOffset++) {
+      const row = rawData[startRow + rowOffset];
+      if (!row || String(row[this.profile.day_column] || '').trim()) return rowOffset;
+      
+      for (let colOffset = 0; colOffset < span; colOffset++) {
+        const value = stripRecurrenceText(String(row[startCol + colOffset] || '').trim());
+        if (value && (this.parseCourseCell(value) || this.findCodeColumnAfterRoom(rawData, startRow + rowOffset, startCol + colOffset) !== -1)) {
+          return rowOffset;
+        }
+      }
+    }
+    
+    return this.profile.block_height;
+  }
+
+  /**
+   * Find the week-pattern annotation of a block
+   * The annotation may share a cell with the code, name or instructor, or sit in a cell of its own
+   * @returns {Object} Recurrence (every week when the block has no annotation)
+   */
+  findBlockRecurrence(rawData, startRow, startCol, span, rowCount = this.profile.block_height) {
+    for (let rowOffset = 0; rowOffset < rowCount; rowOffset++) {
+      const row = rawData[startRow + rowOffset];
+      if (!row) break;
+      
+      for (let colOffset = 0; colOffset < span; colOffset++) {
+        const found = findRecurrence(String(row[startCol + colOffset] || ''));
+        if (found) return found.recurrence;
+      }
+    }
+    
+    return createRecurrence();
+  }
+
   /**
    * Parse course cell to extract course code and groups
    */
   parseCourseCell(cellValue) {
-    // Pattern 1: "EEC 12305,06" (shared groups)
+    // Typos such as "eec101" or "EEC 1O1" are fixed first; the corrections travel with the result
+    const { text, corrections } = this.courseCodes.canonicalize(cellValue);
+    const courseInfo = this.matchCourseCell(text);
+    if (!courseInfo) return null;
+    
+    return { ...courseInfo, corrections, canonicalText: text };
+  }
+
+  /**
+   * Match a canonical course cell against the known code/group notations
+   * A code without a group ("EEC 113") gets no groups rather than one made up from its digits
+   */
+  matchCourseCell(cellValue) {
+    // Pattern 1: "EEC 12305,06", "EEC 12301-04", "EEC 12301/02/03" (shared groups, optional room)
     const sharedMatch = cellValue.match(this.sharedGroupPattern);
     if (sharedMatch) {
-      const [, dept, courseNum, group1, group2] = sharedMatch;
+      const [, dept, courseNum, firstGroup, groupList] = sharedMatch;
+      const notation = `${firstGroup}${groupList.replace(/\s+/g, '')}`;
       return {
         courseCode: `${dept} ${courseNum}`,
-        groups: [group1, group2]
+        groups: this.expandGroupList(notation),
+        groupNotation: notation
       };
     }
     
-    // Pattern 2: "EEC 11302 C401" (single course with room)
+    // Pattern 2: "EEC 11302 C401" (single course with a building room code)
     const singleWithRoomMatch = cellValue.match(this.singleCourseWithRoomPattern);
     if (singleWithRoomMatch) {
       const [, dept, courseNum, group] = singleWithRoomMatch;
       return {
         courseCode: `${dept} ${courseNum}`,
-        groups: [group]
+        groups: [group],
+        groupNotation: group
       };
     }
     
-    // Pattern 3: "EEC 11201" (basic course code, extract group from last 2 digits)
+    // Pattern 2b: "EEC 11201" (single group, no room)
+    const singleGroupMatch = cellValue.match(this.singleGroupPattern);
+    if (singleGroupMatch) {
+      const [, dept, courseNum, group] = singleGroupMatch;
+      return {
+        courseCode: `${dept} ${courseNum}`,
+        groups: [group],
+        groupNotation: group
+      };
+    }
+    
+    // Pattern 3: "EEC 113" (course code without a group)
     const basicMatch = cellValue.match(this.courseCodePattern);
     if (basicMatch) {
       const [, dept, courseNum] = basicMatch;
-      // For courses like "EEC 113", the group is the last 2 digits of courseNum
-      const group = courseNum.slice(-2);
       return {
         courseCode: `${dept} ${courseNum}`,
-        groups: [group]
+        groups: [],
+        groupNotation: ''
       };
     }
     
-    // Pattern 4: Try to extract any course code pattern
-    const fallbackMatch = cellValue.match(/([A-Z]{2,4})\s*(\d{3,5})/);
+    // Pattern 4: a code somewhere in the cell; the two digits after the course number are the group
+    const fallbackMatch = cellValue.match(/([A-Z]{2,4})\s*(\d{3})(\d{2})?(?!\d)/);
     if (fallbackMatch) {
-      const courseCode = fallbackMatch[0].replace(/\s+/g, ' ');
-      // Extract group from the numeric part
-      const numericPart = fallbackMatch[2];
-      const group = numericPart.slice(-2);
+      const [, dept, courseNum, group] = fallbackMatch;
       return {
-        courseCode: courseCode,
-        groups: [group]
+        courseCode: `${dept} ${courseNum}`,
+        groups: group ? [group] : [],
+        groupNotation: group || '',
+        pattern: 'fallback'
       };
     }
     
     return null;
   }
 
+  /**
+   * Expand a group list notation into individual group codes
+   * Supports comma and slash separators and dash ranges, e.g. "05,06", "01/02/03", "01-04", "01-03,07"
+   * @param {String} notation - Group list as written in the cell (without the course code)
+   * @returns {Array} Two-digit group codes in order of appearance, without duplicates
+   */
+  expandGroupList(notation) {
+    const groups = [];
+    const tokens = notation.match(/\d{1,2}|[,/-]/g) || [];
+    let pendingRange = false;
+    
+    for (const token of tokens) {
+      if (token === '-') {
+        pendingRange = true;
+        continue;
+      }
+      if (token === ',' || token === '/') {
+        pendingRange = false;
+        continue;
+      }
+      
+      const value = parseInt(token, 10);
+      const previous = groups.length > 0 ? parseInt(groups[groups.length - 1], 10) : null;
+      
+      if (pendingRange && previous !== null && value > previous) {
+        // "01-04" covers every group between the two ends
+        for (let group = previous + 1; group <= value; group++) {
+          groups.push(String(group).padStart(2, '0'));
+        }
+      } else {
+        groups.push(String(value).padStart(2, '0'));
+      }
+      pendingRange = false;
+    }
+    
+    return [...new Set(groups)];
+  }
+
   /**
    * Calculate horizontal span of a course block
+   * Uses the sheet's merged cells when the block is merged, otherwise falls back to scanning neighbours
+   * @param {Array} slots - Time slots of the current grid; the span never extends past the last slot column
+   * @returns {Object} { span, method } where method is 'merge' or 'heuristic'
    */
-  calculateHorizontalSpan(rawData, startRow, startCol) {
+  calculateHorizontalSpan(rawData, startRow, startCol, slots = [], rowCount = this.profile.block_height, codeColumns = 1) {
+    const lastSlotCol = slots.length > 0
+      ? Math.max(...slots.map(slot => slot.col_index))
+      : rawData[startRow].length - 1;
+    
+    const mergeSpan = this.getMergedSpan(startRow, startCol, slots, rowCount);
+    if (mergeSpan) {
+      return { span: Math.max(mergeSpan, codeColumns), method: 'merge' };
+    }
+    
+    // A lead room cell (and any empty cells before the code) come in front of the code cell
+    const codeCol = startCol + codeColumns - 1;
+    return {
+      span: codeColumns - 1 + this.calculateHeuristicSpan(rawData, startRow, codeCol, lastSlotCol),
+      method: 'heuristic'
+    };
+  }
+
+  /**
+   * Get the span of a block from the merged range that starts in its column
+   * The code row is checked first, then the name and room/instructor rows, since some
+   * blocks only merge the lower rows
+   * @returns {Number|null} Number of slot columns covered by the merge, or null if not merged
+   */
+  getMergedSpan(startRow, startCol, slots = [], rowCount = this.profile.block_height) {
+    for (let rowOffset = 0; rowOffset < rowCount; rowOffset++) {
+      const merge = this.mergeIndex.get(`${startRow + rowOffset}-${startCol}`);
+      if (!merge || merge.e.c === merge.s.c) continue;
+      
+      if (slots.length === 0) {
+        return merge.e.c - merge.s.c + 1;
+      }
+      
+      const coveredSlots = slots.filter(slot => slot.col_index >= merge.s.c && slot.col_index <= merge.e.c);
+      if (coveredSlots.length > 0) {
+        return coveredSlots.length;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Guess the span of an unmerged block by scanning up to three neighbouring cells
+   */
+  calculateHeuristicSpan(rawData, startRow, startCol, lastSlotCol) {
     let span = 1;
     
     // Check up to 3 columns to the right
     for (let colOffset = 1; colOffset <= 3; colOffset++) {
       const checkCol = startCol + colOffset;
-      if (checkCol >= rawData[startRow].length) break;
+      if (checkCol >= rawData[startRow].length || checkCol > lastSlotCol) break;
+      
+      // Cells already taken by a block above (e.g. its lower rows) end this block
+      if (this.processedBlocks.has(`${startRow}-${checkCol}`)) break;
       
       const cellValue = String(rawData[startRow][checkCol] || '').trim();
       
-      // If the cell is empty or contains only room/instructor info, it's part of the span
-      if (!cellValue || this.roomPattern.test(cellValue) || this.isInstructorInfo(cellValue)) {
-        span++;
-      } else {
-        // If we find another course code, stop
-        if (this.courseCodePattern.test(cellValue) || this.sharedGroupPattern.test(cellValue)) {
-          break;
-        }
-        span++;
+      // If we find another course code (in any group notation), a new block starts there
+      if (cellValue && (this.parseCourseCell(cellValue) || this.findCodeColumnAfterRoom(rawData, startRow, checkCol) !== -1)) {
+        break;
       }
+      
+      // Empty cells and room/instructor info are part of the span
+      span++;
     }
     
     return span;
@@ -273,7 +1296,7 @@ class ExcelParserServiceFinal {
       const col = startCol + colOffset;
       if (col >= rawData[row].length) continue;
       
-      const cellValue = String(rawData[row][col] || '').trim();
+      const cellValue = stripRecurrenceText(String(rawData[row][col] || '').trim());
       
       // Arabic course name should not contain course codes or room numbers
       if (cellValue && 
@@ -288,40 +1311,52 @@ class ExcelParserServiceFinal {
   }
 
   /**
-   * Extract room and instructor from the third row of a block
+   * Extract room and instructor from the profile's room and instructor rows (row 3 by default)
+   * @param {Object} blockShape - Rows in the block (see measureBlockHeight) and code row cells already read
+   * @returns {Object} { room, instructor } where room is a structured room (see RoomService) or null
    */
-  extractRoomAndInstructor(rawData, row, startCol, span, originalCell) {
-    let room = '';
+  extractRoomAndInstructor(rawData, startRow, startCol, span, originalCell, blockShape = {}) {
+    const { rowCount = this.profile.block_height, codeColumns = 1 } = blockShape;
+    let room = null;
     let instructor = '';
+    const { room: roomRow, instructor: instructorRow } = this.profile.rows;
     
     // First, check if room is in the original cell (row 1)
-    const roomInOriginal = originalCell.match(this.roomPattern);
+    const roomInOriginal = this.roomService.findRoom(originalCell);
     if (roomInOriginal) {
-      room = roomInOriginal[0];
+      room = roomInOriginal.room;
     }
     
-    // Check row 3 for additional info
-    if (row < rawData.length) {
+    const detailRows = [...new Set([roomRow, instructorRow])].filter(offset => offset !== null && offset < rowCount);
+    for (const rowOffset of detailRows) {
+      const row = startRow + rowOffset;
+      if (row >= rawData.length) continue;
+      
       for (let colOffset = 0; colOffset < span; colOffset++) {
+        // The code cell (and a lead room cell) was handled above
+        if (rowOffset === 0 && colOffset < codeColumns) continue;
+        
         const col = startCol + colOffset;
         if (col >= rawData[row].length) continue;
         
-        const cellValue = String(rawData[row][col] || '').trim();
+        const cellValue = stripRecurrenceText(String(rawData[row][col] || '').trim());
         if (!cellValue) continue;
         
-        // Extract room number
-        if (!room) {
-          const roomMatch = cellValue.match(this.roomPattern);
-          if (roomMatch) {
-            room = roomMatch[0];
-          }
+        // Extract room (building code, lab, named or virtual room)
+        const roomMatch = this.roomService.findRoom(cellValue);
+        if (!room && roomMatch && rowOffset === roomRow) {
+          room = roomMatch.room;
         }
         
-        // Extract instructor (any remaining Arabic text)
+        // Extract instructor (any remaining Arabic text, including text sharing a cell with the room)
+        if (rowOffset !== instructorRow) continue;
+        const instructorText = roomMatch
+          ? cellValue.replace(roomMatch.matchedText, '').replace(/^[\s\-–/،,]+|[\s\-–/،,]+$/g, '')
+          : cellValue;
         if (!instructor && 
-            !this.roomPattern.test(cellValue) && 
-            !this.courseCodePattern.test(cellValue)) {
-          instructor = cellValue;
+            instructorText &&
+            !this.courseCodePattern.test(instructorText)) {
+          instructor = instructorText;
         }
       }
     }
@@ -344,19 +1379,147 @@ class ExcelParserServiceFinal {
    * Find day name in a cell
    */
   findDayName(cellValue) {
-    for (const [arabicDay, englishDay] of Object.entries(this.arabicDays)) {
-      if (cellValue.includes(arabicDay)) {
+    const folded = foldArabic(cellValue);
+    for (const [foldedDay, englishDay] of this.foldedDays) {
+      if (folded.includes(foldedDay)) {
         return englishDay;
       }
     }
     return null;
   }
 
+  /**
+   * Check whether a block row has no text in any of its columns
+   */
+  isBlockRowEmpty(rawData, row, startCol, span) {
+    if (row >= rawData.length) return true;
+    
+    for (let colOffset = 0; colOffset < span; colOffset++) {
+      if (String(rawData[row][startCol + colOffset] || '').trim()) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Report every non-empty grid cell that no block consumed
+   * @param {Array} gridRows - Rows inside day bands with the slot columns in effect for each
+   */
+  collectUnconsumedCells(rawData, gridRows) {
+    for (const { rowIndex, slots } of gridRows) {
+      for (const slot of slots) {
+        const value = String(rawData[rowIndex][slot.col_index] || '').trim();
+        if (!value || this.processedBlocks.has(`${rowIndex}-${slot.col_index}`)) continue;
+        
+        this.addDiagnostic('unconsumed_cells', rowIndex, slot.col_index, value);
+      }
+    }
+  }
+
+  /**
+   * Create an empty diagnostics collection
+   */
+  createEmptyDiagnostics() {
+    return {
+      unconsumed_cells: [],
+      incomplete_blocks: [],
+      fallback_matches: [],
+      code_corrections: [],
+      suspicious_codes: [],
+      row_errors: []
+    };
+  }
+
+  /**
+   * Record a diagnostic for a cell of the sheet currently being parsed
+   * @param {String} category - Diagnostics category (e.g. 'unconsumed_cells')
+   * @param {Number} row - Row index in rawData coordinates
+   * @param {Number} col - Column index in rawData coordinates
+   * @param {String} raw - Raw cell text
+   * @param {Object} details - Additional category-specific fields
+   */
+  addDiagnostic(category, row, col, raw, details = {}) {
+    this.diagnostics[category].push({
+      sheet: this.currentSheet.name,
+      address: this.toCellAddress(row, col),
+      raw: this.getOriginalCellText(row, col) || raw,
+      ...details
+    });
+  }
+
+  /**
+   * Convert rawData coordinates to an A1-style address in the current sheet
+   */
+  toCellAddress(row, col) {
+    const { origin, transposed } = this.currentSheet;
+    return transposed
+      ? XLSX.utils.encode_cell({ r: col + origin.r, c: row + origin.c })
+      : XLSX.utils.encode_cell({ r: row + origin.r, c: col + origin.c });
+  }
+
+  /**
+   * Convert a rawData rectangle to an A1-style range in the current sheet (e.g. "C8:D10")
+   */
+  toRangeAddress(startRow, startCol, endRow, endCol) {
+    const start = this.toCellAddress(startRow, startCol);
+    const end = this.toCellAddress(endRow, endCol);
+    return start === end ? start : `${start}:${end}`;
+  }
+
+  /**
+   * Describe where a block sits in the spreadsheet so its sessions can be traced back to it
+   * Rows and columns are 1-based sheet coordinates (row 8, column 3 is C8), also for days-across sheets
+   * @param {Array} rawRows - Original text of each block row
+   * @returns {Object} { range, row, row_end, col_start, col_end, raw_rows }
+   */
+  buildSourceReference(startRow, startCol, endRow, endCol, rawRows) {
+    const range = this.toRangeAddress(startRow, startCol, endRow, endCol);
+    const { s: start, e: end } = XLSX.utils.decode_range(range);
+    
+    return {
+      range,
+      row: start.r + 1,
+      row_end: end.r + 1,
+      col_start: start.c + 1,
+      col_end: end.c + 1,
+      raw_rows: rawRows
+    };
+  }
+
+  /**
+   * Original text of one block row (its non-empty cells joined left to right)
+   */
+  getBlockRowText(row, startCol, span) {
+    const texts = [];
+    for (let col = startCol; col < startCol + span; col++) {
+      const text = this.getOriginalCellText(row, col);
+      if (text) texts.push(text);
+    }
+    return texts.join(' ');
+  }
+
+  /**
+   * Get the diagnostics section of the parse result
+   */
+  getDiagnosticsReport() {
+    const summary = {};
+    for (const [category, items] of Object.entries(this.diagnostics)) {
+      summary[category] = items.length;
+    }
+    
+    return {
+      ...this.diagnostics,
+      summary
+    };
+  }
+
   /**
    * Mark a block and its span as processed
    */
-  markBlockAsProcessed(startRow, startCol, span) {
-    for (let rowOffset = 0; rowOffset < 3; rowOffset++) {
+  markBlockAsProcessed(startRow, startCol, span, rowCount = this.profile.block_height) {
+    for (let rowOffset = 0; rowOffset < rowCount; rowOffset++) {
       for (let colOffset = 0; colOffset < span; colOffset++) {
         const blockId = `${startRow + rowOffset}-${startCol + colOffset}`;
         this.processedBlocks.add(blockId);
@@ -366,26 +1529,47 @@ class ExcelParserServiceFinal {
 
   /**
    * Create schedule entries from a course block
+   * @param {String} dayBand - Address of the day cell the block sits under ("A8"); a sheet that
+   *   repeats its grid per level has one band per day and level
    */
-  createScheduleEntries(courseBlock, day, timeSlot) {
+  createScheduleEntries(courseBlock, day, timeSlot, sheetName = '', dayBand = '') {
     const entries = [];
+    const classification = this.determineSessionType(
+      courseBlock.courseName,
+      courseBlock.room,
+      courseBlock.groups,
+      courseBlock.span,
+      courseBlock.roomDetails ? courseBlock.roomDetails.type : null
+    );
     
-    for (const group of courseBlock.groups) {
-      const sessionType = this.determineSessionType(courseBlock.courseName, courseBlock.room, courseBlock.groups);
-      
+    // A code written without a group still yields one entry (with an empty group code)
+    const groups = courseBlock.groups.length > 0 ? courseBlock.groups : [''];
+    for (const group of groups) {
       entries.push({
         course_code: courseBlock.courseCode,
-        group_code: group.padStart(2, '0'),
+        group_code: group && group.padStart(2, '0'),
         course_name: courseBlock.courseName,
         instructor: courseBlock.instructor,
+        instructors: courseBlock.instructors,
+        recurrence: courseBlock.recurrence,
+        block_id: courseBlock.blockId,
         location: courseBlock.room,
+        room_details: courseBlock.roomDetails,
         day_of_week: day,
         start_time: timeSlot.time.split(' - ')[0],
         end_time: timeSlot.time.split(' - ')[1],
-        session_type: sessionType,
+        session_type: classification.type,
+        session_type_rule: classification.rule,
         time_slot: timeSlot.column,
         span: courseBlock.span,
-        shared_groups: courseBlock.groups.length > 1 ? courseBlock.groups : []
+        span_method: courseBlock.spanMethod,
+        shared_groups: courseBlock.groups.length > 1 ? courseBlock.groups : [],
+        group_notation: courseBlock.groupNotation,
+        parallel_index: 0,
+        day_band: dayBand,
+        raw_text: courseBlock.rawText,
+        sheet_name: sheetName,
+        ...courseBlock.source
       });
     }
     
@@ -393,14 +1577,58 @@ class ExcelParserServiceFinal {
   }
 
   /**
-   * Determine session type (lecture vs lab)
+   * Report how many blocks meet in each day band/slot of each sheet and number the stacked blocks
+   * Sets `parallel_index` on every entry: the block's position (0 = topmost) among the blocks
+   * already covering its first slot in its day band. Blocks of another level's grid on the same
+   * sheet are in another band, so they are not counted as parallel.
+   * @param {Array} scheduleEntries - Entries in sheet order (blocks are found top to bottom)
+   * @returns {Array} One record per sheet/day band/slot with at least one block
    */
-  determineSessionType(courseName, room, groups) {
-    // Labs are typically indicated by smaller room numbers or specific patterns
-    if (room && room.match(/C(3|4|5)\d{2}/)) {
-      return groups.length > 1 ? 'lecture' : 'lab';
+  buildParallelBlockReport(scheduleEntries) {
+    const blocks = new Map();
+    for (const entry of scheduleEntries) {
+      if (!blocks.has(entry.block_id)) blocks.set(entry.block_id, []);
+      blocks.get(entry.block_id).push(entry);
+    }
+    
+    const cells = new Map();
+    for (const [blockId, blockEntries] of blocks) {
+      const { sheet_name: sheetName, day_of_week: day, day_band: dayBand, time_slot: firstSlot, span } = blockEntries[0];
+      const firstCellKey = `${sheetName}|${dayBand}|${day}|${firstSlot}`;
+      const parallelIndex = cells.has(firstCellKey) ? cells.get(firstCellKey).block_ids.length : 0;
+      blockEntries.forEach(entry => { entry.parallel_index = parallelIndex; });
+      
+      for (let slot = firstSlot; slot < firstSlot + span; slot++) {
+        const key = `${sheetName}|${dayBand}|${day}|${slot}`;
+        if (!cells.has(key)) {
+          cells.set(key, { sheet_name: sheetName, day_of_week: day, day_band: dayBand, time_slot: slot, block_count: 0, block_ids: [] });
+        }
+        const cell = cells.get(key);
+        cell.block_count++;
+        cell.block_ids.push(blockId);
+      }
     }
-    return groups.length > 1 ? 'lecture' : 'lab';
+    
+    return Array.from(cells.values()).sort((a, b) =>
+      a.sheet_name.localeCompare(b.sheet_name) ||
+      this.dayOrder(a.day_of_week) - this.dayOrder(b.day_of_week) ||
+      a.time_slot - b.time_slot
+    );
+  }
+
+  /**
+   * Position of an English day name in the week (Saturday first, as in the timetable)
+   */
+  dayOrder(day) {
+    return Object.values(this.arabicDays).indexOf(day);
+  }
+
+  /**
+   * Determine session type using the configured classification rules
+   * @returns {Object} { type, rule } - 'lecture', 'lab', 'tutorial' or 'unknown', and the matched rule id
+   */
+  determineSessionType(courseName, room, groups, span = 1, roomType = null) {
+    return this.sessionClassifier.classify({ courseName, room, roomType, groups, span });
   }
 
   /**
@@ -453,6 +1681,7 @@ class ExcelParserServiceFinal {
           course_code: entry.course_code,
           group_code: entry.group_code,
           course_name: entry.course_name,
+          sheet_name: entry.sheet_name,
           sessions: []
         });
       }
@@ -462,9 +1691,27 @@ class ExcelParserServiceFinal {
         start_time: entry.start_time,
         end_time: entry.end_time,
         location: entry.location,
+        room_details: entry.room_details,
         instructor: entry.instructor,
+        instructors: entry.instructors,
+        recurrence: entry.recurrence,
+        block_id: entry.block_id,
         session_type: entry.session_type,
-        span: entry.span
+        session_type_rule: entry.session_type_rule,
+        span: entry.span,
+        span_method: entry.span_method,
+        shared_groups: entry.shared_groups,
+        group_notation: entry.group_notation,
+        parallel_index: entry.parallel_index,
+        day_band: entry.day_band,
+        raw_text: entry.raw_text,
+        sheet_name: entry.sheet_name,
+        range: entry.range,
+        row: entry.row,
+        row_end: entry.row_end,
+        col_start: entry.col_start,
+        col_end: entry.col_end,
+        raw_rows: entry.raw_rows
       });
     }
     
@@ -479,7 +1726,8 @@ class ExcelParserServiceFinal {
       total_courses: this.courseSpanTracker.size,
       consistent_courses: 0,
       inconsistent_courses: 0,
-      span_distribution: {}
+      span_distribution: {},
+      span_methods: { ...this.spanMethodCounts }
     };
     
     for (const [courseCode, spans] of this.courseSpanTracker.entries()) {
@@ -499,18 +1747,36 @@ class ExcelParserServiceFinal {
 
   /**
    * Get parsing summary
+   * @param {Array} scheduleEntries - All detected schedule entries
+   * @param {Array} sheetNames - Sheets that were parsed
    */
-  getParsingSummary(scheduleEntries) {
+  getParsingSummary(scheduleEntries, sheetNames = []) {
     const summary = {
       total_entries: scheduleEntries.length,
       course_codes_found: new Set(scheduleEntries.map(e => e.course_code)).size,
       groups_found: new Set(scheduleEntries.map(e => `${e.course_code}-${e.group_code}`)).size,
       with_course_names: scheduleEntries.filter(e => e.course_name).length,
       with_rooms: scheduleEntries.filter(e => e.location).length,
+      rooms_found: new Set(scheduleEntries.filter(e => e.location).map(e => e.location)).size,
       with_instructors: scheduleEntries.filter(e => e.instructor).length,
-      shared_group_entries: scheduleEntries.filter(e => e.shared_groups.length > 0).length
+      instructors_found: new Set(scheduleEntries.flatMap(e => e.instructors.map(i => i.id))).size,
+      shared_group_entries: scheduleEntries.filter(e => e.shared_groups.length > 0).length,
+      week_pattern_entries: scheduleEntries.filter(e => e.recurrence.label).length,
+      stacked_block_entries: scheduleEntries.filter(e => e.parallel_index > 0).length,
+      sheets_parsed: sheetNames,
+      per_sheet: {}
     };
     
+    // Per-sheet counts show which academic levels were picked up
+    for (const sheetName of sheetNames) {
+      const sheetEntries = scheduleEntries.filter(e => e.sheet_name === sheetName);
+      summary.per_sheet[sheetName] = {
+        total_entries: sheetEntries.length,
+        course_codes_found: new Set(sheetEntries.map(e => e.course_code)).size,
+        groups_found: new Set(sheetEntries.map(e => `${e.course_code}-${e.group_code}`)).size
+      };
+    }
+    
     return summary;
   }
 }
@@ -0,0 +1,211 @@
+const { foldArabic } = require('../utils/arabic');
+
+/**
+ * Instructor Service - turns the free-text instructor row of a block into structured records
+ * Handles Arabic academic titles (أ.د. / أ.م.د. / د. / م.م. / م. / أ.), several instructors
+ * in one cell, and spelling variants so the same person always gets the same id.
+ */
+class InstructorService {
+  constructor() {
+    // Title patterns are matched against folded text (أ → ا), longest titles first.
+    // A title must end at a dot, slash or space so "م. محمد" is not read as "م.م."
+    this.titlePatterns = [
+      { title: 'أ.م.د.', pattern: /^ا\s*\.\s*م\s*\.\s*د(?:\s*[./]|\s|$)\s*/ },
+      { title: 'أ.د.', pattern: /^ا\s*\.\s*د(?:\s*[./]|\s|$)\s*/ },
+      { title: 'م.م.', pattern: /^م\s*\.\s*م(?:\s*[./]|\s|$)\s*/ },
+      { title: 'د.', pattern: /^د\s*[./]\s*/ },
+      { title: 'م.', pattern: /^م\s*[./]\s*/ },
+      { title: 'أ.', pattern: /^ا\s*[./]\s*/ }
+    ];
+
+    // Separators between instructors sharing a cell
+    this.separatorPattern = /\s*(?:[،,+&\n/]|\s-\s|\sو\s)\s*/;
+  }
+
+  /**
+   * Parse an instructor cell into one record per instructor
+   * @param {String} text - Raw instructor text (e.g. "أ.د. محمد عوني / م. احمد يحيى")
+   * @returns {Array} Records: { id, title, name, normalized_name, raw }
+   */
+  parseInstructors(text) {
+    const raw = String(text || '').trim();
+    if (!raw) return [];
+
+    const instructors = [];
+    for (const part of this.splitInstructorText(raw)) {
+      const instructor = this.parseInstructor(part);
+      if (instructor && !instructors.some(existing => existing.id === instructor.id)) {
+        instructors.push(instructor);
+      }
+    }
+
+    return instructors;
+  }
+
+  /**
+   * Split a cell listing several instructors
+   * Separators also follow titles ("أ.د/ عصام", "م, نهى"), so a part that is only
+   * a title is joined back onto the following part
+   */
+  splitInstructorText(text) {
+    const parts = [];
+    let pending = '';
+
+    for (const segment of text.split(this.separatorPattern)) {
+      const candidate = pending ? `${pending}/ ${segment.trim()}` : segment.trim();
+      if (this.isTitleOnly(candidate)) {
+        pending = candidate;
+        continue;
+      }
+      pending = '';
+      if (candidate) parts.push(candidate);
+    }
+
+    if (pending) parts.push(pending);
+    return parts;
+  }
+
+  /**
+   * Check whether text consists of a title with no name after it
+   */
+  isTitleOnly(text) {
+    const folded = foldArabic(text);
+    if (!folded) return false;
+
+    const titleMatch = this.matchTitle(`${folded}.`);
+    return Boolean(titleMatch) && !this.stripTitle(`${folded}.`).replace(/[./\s]/g, '');
+  }
+
+  /**
+   * Parse a single instructor
+   * @returns {Object|null} { id, title, name, normalized_name, raw }
+   */
+  parseInstructor(text) {
+    const raw = text.trim();
+    const folded = foldArabic(raw);
+    const titleMatch = this.matchTitle(folded);
+
+    const name = raw
+      .slice(this.originalPrefixLength(raw, titleMatch ? titleMatch.length : 0))
+      .replace(/^[\s./]+/, '')
+      .trim();
+    const normalizedName = this.normalizeName(name);
+
+    if (!normalizedName) return null;
+
+    return {
+      id: normalizedName.replace(/\s+/g, '_'),
+      title: titleMatch ? titleMatch.title : '',
+      name,
+      normalized_name: normalizedName,
+      raw
+    };
+  }
+
+  /**
+   * Find the academic title at the start of folded text
+   * @returns {Object|null} { title, length } where length is the matched length in folded text
+   */
+  matchTitle(folded) {
+    for (const { title, pattern } of this.titlePatterns) {
+      const match = folded.match(pattern);
+      if (match) {
+        return { title, length: match[0].trimEnd().length };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a leading title from folded text
+   */
+  stripTitle(folded) {
+    const titleMatch = this.matchTitle(folded);
+    return titleMatch ? folded.slice(titleMatch.length) : folded;
+  }
+
+  /**
+   * Map a prefix length in folded text back to the original text
+   * Folding only removes characters (diacritics, tatweel, extra spaces), so walk the
+   * original until its folded prefix reaches the same length
+   */
+  originalPrefixLength(original, foldedLength) {
+    if (foldedLength === 0) return 0;
+
+    for (let index = 1; index <= original.length; index++) {
+      if (foldArabic(original.slice(0, index)).length >= foldedLength) {
+        return index;
+      }
+    }
+    return original.length;
+  }
+
+  /**
+   * Normalize an instructor name for comparison and ids
+   * Folds Arabic variants, drops punctuation and joins "عبد" compounds ("عبد العزيز" = "عبدالعزيز")
+   */
+  normalizeName(name) {
+    return foldArabic(name)
+      .replace(/[.()\-_/]/g, ' ')
+      .replace(/عبد\s+/g, 'عبد')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Build an index of every teaching instructor and their sessions
+   * Entries of a shared block (one per group) are merged into a single session
+   * @param {Array} scheduleEntries - Parser schedule entries with an `instructors` array
+   * @returns {Array} Index records sorted by name
+   */
+  buildInstructorIndex(scheduleEntries) {
+    const index = new Map();
+
+    for (const entry of scheduleEntries) {
+      for (const instructor of entry.instructors || []) {
+        if (!index.has(instructor.id)) {
+          index.set(instructor.id, {
+            id: instructor.id,
+            name: instructor.name,
+            titles: [],
+            name_variants: [],
+            sessions: new Map()
+          });
+        }
+
+        const record = index.get(instructor.id);
+        if (instructor.title && !record.titles.includes(instructor.title)) {
+          record.titles.push(instructor.title);
+        }
+        if (!record.name_variants.includes(instructor.name)) {
+          record.name_variants.push(instructor.name);
+        }
+
+        const sessionKey = entry.block_id || `${entry.course_code}-${entry.day_of_week}-${entry.start_time}`;
+        if (!record.sessions.has(sessionKey)) {
+          record.sessions.set(sessionKey, {
+            course_code: entry.course_code,
+            group_codes: [],
+            day_of_week: entry.day_of_week,
+            start_time: entry.start_time,
+            span: entry.span,
+            session_type: entry.session_type,
+            location: entry.location,
+            sheet_name: entry.sheet_name
+          });
+        }
+        record.sessions.get(sessionKey).group_codes.push(entry.group_code);
+      }
+    }
+
+    return Array.from(index.values())
+      .map(record => ({
+        ...record,
+        sessions: Array.from(record.sessions.values()),
+        session_count: record.sessions.size
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'ar'));
+  }
+}
+
+module.exports = InstructorService;
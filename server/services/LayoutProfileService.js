@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Layout Profile Service - named descriptions of department timetable templates
+ * Profiles are stored in config/layout-profiles.json. Each profile describes:
+ * - orientation: 'rows' (days down the sheet, slots across) or 'columns' (days across, slots down)
+ * - block_height: number of rows (columns for 'columns' orientation) in one course block
+ * - rows: offset inside the block of the code, name, room and instructor rows (null when absent)
+ * - day_column: column holding the day names
+ * - slot_columns: slot columns used when the sheet has no time header row
+ *   (column letters for 'rows', sheet row numbers for 'columns')
+ * - room_before_code: the room may sit in its own cell left of the code cell ("C510" | "EEC 10101,02")
+ */
+class LayoutProfileService {
+  constructor(config = null) {
+    this.orientations = ['rows', 'columns'];
+    this.defaultConfigPath = path.join(__dirname, '../config/layout-profiles.json');
+
+    if (config) {
+      this.loadConfig(config);
+    } else {
+      this.loadProfilesFromFile(process.env.LAYOUT_PROFILES_PATH || this.defaultConfigPath);
+    }
+  }
+
+  /**
+   * Load profiles from a JSON config file
+   * @param {String} filePath - Path to the JSON config
+   */
+  loadProfilesFromFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.loadConfig(config);
+    console.log(`🧩 Loaded ${this.profiles.length} layout profiles from ${path.basename(filePath)}`);
+  }
+
+  /**
+   * Validate and apply a profiles config
+   * @param {Object} config - { default_profile, profiles: [...] }
+   */
+  loadConfig(config) {
+    if (!config || !Array.isArray(config.profiles) || config.profiles.length === 0) {
+      throw new Error('Layout profiles config must contain a non-empty "profiles" array');
+    }
+
+    const profiles = config.profiles.map((profile, index) => {
+      const id = profile.id || `profile-${index + 1}`;
+      const orientation = profile.orientation || 'rows';
+      const blockHeight = profile.block_height || 3;
+      const rows = { code: 0, name: null, room: null, instructor: null, ...profile.rows };
+
+      if (!this.orientations.includes(orientation)) {
+        throw new Error(`Profile ${id}: invalid orientation "${orientation}"`);
+      }
+      if (!Number.isInteger(blockHeight) || blockHeight < 1) {
+        throw new Error(`Profile ${id}: block_height must be a positive integer`);
+      }
+      if (rows.code !== 0) {
+        throw new Error(`Profile ${id}: the code row must be the first row of the block`);
+      }
+      for (const [role, offset] of Object.entries(rows)) {
+        if (offset !== null && !(Number.isInteger(offset) && offset >= 0 && offset < blockHeight)) {
+          throw new Error(`Profile ${id}: ${role} row ${offset} is outside a ${blockHeight}-row block`);
+        }
+      }
+
+      return {
+        ...profile,
+        id,
+        name: profile.name || id,
+        orientation,
+        block_height: blockHeight,
+        rows,
+        day_column: profile.day_column || 0,
+        slot_columns: profile.slot_columns || null,
+        room_before_code: profile.room_before_code === true
+      };
+    });
+
+    const defaultProfile = config.default_profile || profiles[0].id;
+    if (!profiles.some(profile => profile.id === defaultProfile)) {
+      throw new Error(`Default layout profile "${defaultProfile}" is not defined`);
+    }
+
+    this.config = config;
+    this.profiles = profiles;
+    this.defaultProfileId = defaultProfile;
+  }
+
+  /**
+   * Get a profile by id
+   * @returns {Object|null}
+   */
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the profile used when none is selected and auto-detection is off
+   */
+  getDefaultProfile() {
+    return this.getProfile(this.defaultProfileId);
+  }
+
+  /**
+   * List every profile
+   */
+  getProfiles() {
+    return this.profiles;
+  }
+}
+
+module.exports = LayoutProfileService;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Bump when the parse result format changes so stale cache files are ignored
+const CACHE_VERSION = 7;
+
+const TIMETABLE_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Parse Cache Service - reuses parse results for files that were already uploaded
+ * - Results are keyed by a timetable id: the SHA-256 of the file content (mixed with the parse
+ *   options when a sheet selection or layout profile was requested)
+ * - A small in-memory LRU holds the most recent results; every result is also written to disk
+ *   (server/cache) so it survives restarts
+ * - Concurrent uploads of the same file wait for a single parse
+ * Routes use the shared instance (getSharedInstance) so they all see the same memory cache.
+ */
+class ParseCacheService {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || process.env.PARSE_CACHE_DIR || path.join(__dirname, '../cache');
+    this.maxMemoryEntries = options.maxMemoryEntries || parseInt(process.env.PARSE_CACHE_MAX_ENTRIES, 10) || 20;
+    this.memory = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the process-wide cache instance
+   */
+  static getSharedInstance() {
+    if (!ParseCacheService.sharedInstance) {
+      ParseCacheService.sharedInstance = new ParseCacheService();
+    }
+    return ParseCacheService.sharedInstance;
+  }
+
+  /**
+   * Compute the timetable id of an uploaded file
+   * @param {String} filePath - Path to the uploaded file
+   * @param {Object} parseOptions - Parser options ({ sheets, layoutProfile })
+   * @returns {Promise<String>} Hex SHA-256 id
+   */
+  async computeTimetableId(filePath, parseOptions = {}) {
+    const hash = crypto.createHash('sha256').update(await fs.readFile(filePath));
+
+    const { sheets = null, layoutProfile = 'auto' } = parseOptions;
+    if ((sheets && sheets.length > 0) || layoutProfile !== 'auto') {
+      hash.update(JSON.stringify({ sheets: sheets || null, layoutProfile }));
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Check that a client-supplied id looks like one we hand out (also keeps it a safe file name)
+   */
+  isValidTimetableId(timetableId) {
+    return typeof timetableId === 'string' && TIMETABLE_ID_PATTERN.test(timetableId);
+  }
+
+  /**
+   * Get a cached parse result
+   * @param {String} timetableId - Timetable id
+   * @returns {Promise<Object|null>} A copy of the parse result, or null when unknown
+   */
+  async get(timetableId) {
+    if (!this.isValidTimetableId(timetableId)) return null;
+
+    if (this.memory.has(timetableId)) {
+      const serialized = this.memory.get(timetableId);
+      // Re-insert to mark as most recently used
+      this.memory.delete(timetableId);
+      this.memory.set(timetableId, serialized);
+      return JSON.parse(serialized);
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.getCachePath(timetableId), 'utf8'));
+      if (stored.version !== CACHE_VERSION) return null;
+
+      this.remember(timetableId, JSON.stringify(stored.result));
+      return stored.result;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a parse result in memory and on disk
+   * Disk write failures are logged, not thrown: the cache is an optimization
+   */
+  async set(timetableId, result) {
+    if (!this.isValidTimetableId(timetableId)) {
+      throw new Error(`Invalid timetable id: ${timetableId}`);
+    }
+
+    const serialized = JSON.stringify(result);
+    this.remember(timetableId, serialized);
+
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.writeFile(
+        this.getCachePath(timetableId),
+        `{"version":${CACHE_VERSION},"cached_at":"${new Date().toISOString()}","result":${serialized}}`
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not write parse cache file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Return the cached result for a file, parsing it only on a cache miss
+   * @param {String} filePath - Path to the uploaded file
+   * @param {Object} parseOptions - Parser options, part of the cache key
+   * @param {Function} parse - async (onProgress) → parse result, called on a miss
+   * @param {Function} onProgress - Receives the progress the parse reports; a request waiting on
+   *   a parse started by another one gets the latest update, then the following ones
+   * @returns {Promise<Object>} { timetable_id, result, cached }
+   */
+  async getOrParse(filePath, parseOptions, parse, onProgress = null) {
+    const timetableId = await this.computeTimetableId(filePath, parseOptions);
+
+    const cachedResult = await this.get(timetableId);
+    if (cachedResult) {
+      console.log(`♻️ Parse cache hit: ${timetableId.slice(0, 12)}`);
+      return { timetable_id: timetableId, result: cachedResult, cached: true };
+    }
+
+    if (!this.pending.has(timetableId)) {
+      const pending = { listeners: new Set(), lastProgress: null };
+      const reportProgress = progress => {
+        pending.lastProgress = progress;
+        pending.listeners.forEach(listener => listener(progress));
+      };
+      pending.parsing = (async () => {
+        const result = await parse(reportProgress);
+        if (result && result.course_groups) {
+          await this.set(timetableId, result);
+        }
+        return JSON.stringify(result ?? null);
+      })().finally(() => this.pending.delete(timetableId));
+      this.pending.set(timetableId, pending);
+    }
+
+    const pending = this.pending.get(timetableId);
+    if (onProgress) {
+      if (pending.lastProgress) onProgress(pending.lastProgress);
+      pending.listeners.add(onProgress);
+    }
+
+    try {
+      // Every waiting request gets its own copy, so normalization cannot alter the cached result
+      const result = JSON.parse(await pending.parsing);
+      return { timetable_id: timetableId, result, cached: false };
+    } finally {
+      if (onProgress) pending.listeners.delete(onProgress);
+    }
+  }
+
+  /**
+   * Keep a serialized result in the in-memory LRU, evicting the least recently used
+   */
+  remember(timetableId, serialized) {
+    this.memory.delete(timetableId);
+    this.memory.set(timetableId, serialized);
+
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Path of the cache file for a timetable id
+   */
+  getCachePath(timetableId) {
+    return path.join(this.cacheDir, `${timetableId}.json`);
+  }
+}
+
+module.exports = ParseCacheService;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+/**
+ * Parse Job Service - runs timetable parses in the background and reports their progress
+ * - createJob starts a task and returns right away; the task reports { stage, progress } updates
+ * - Listeners (the SSE progress stream) get every update until the job completes or fails
+ * - Finished jobs keep their result for jobTtlMs, then are dropped
+ * - parseInWorker runs the parser in a worker thread, so a large workbook does not block the
+ *   server from answering progress and other requests
+ */
+class ParseJobService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobs = new Map();
+    this.jobTtlMs = options.jobTtlMs || 30 * 60 * 1000; // 30 minutes
+    this.workerPath = options.workerPath || path.join(__dirname, '../workers/parseWorker.js');
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start a background job
+   * @param {Function} task - async (reportProgress) → result; reportProgress({ stage, progress, ... })
+   * @returns {Object} Job snapshot (see getSnapshot)
+   */
+  createJob(task) {
+    this.removeExpiredJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+      job_id: crypto.randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      sheet: null,
+      day: null,
+      error: null,
+      result: null,
+      created_at: now,
+      updated_at: now,
+      finished_at: null
+    };
+    this.jobs.set(job.job_id, job);
+
+    // Start after the caller has answered the request with the job id
+    setImmediate(async () => {
+      this.update(job, { status: 'running' });
+      try {
+        const result = await task(progress => this.update(job, progress));
+        job.result = result;
+        this.update(job, { status: 'completed', stage: 'completed', progress: 100, sheet: null, day: null });
+      } catch (error) {
+        job.error = { message: error.message, status: error.status || 500 };
+        this.update(job, { status: 'failed' });
+      }
+    });
+
+    return this.getSnapshot(job);
+  }
+
+  /**
+   * Get a job by id
+   * @returns {Object|null} The job (with its result), or null when unknown or expired
+   */
+  getJob(jobId) {
+    this.removeExpiredJobs();
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Job fields sent to clients (everything but the result)
+   */
+  getSnapshot(job) {
+    const { result, finished_at, ...snapshot } = job;
+    return snapshot;
+  }
+
+  /**
+   * Check whether a job will not change any more
+   */
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+  }
+
+  /**
+   * Listen to the updates of a job
+   * @param {Function} listener - snapshot → void
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Apply a progress or status change and notify listeners
+   * Progress never goes backwards (a cached result may report less than a running parse did)
+   */
+  update(job, changes) {
+    const { stage, progress, sheet = null, day = null, status } = changes;
+
+    if (status) job.status = status;
+    if (stage) {
+      job.stage = stage;
+      job.sheet = sheet;
+      job.day = day;
+    }
+    if (typeof progress === 'number') job.progress = Math.max(job.progress, Math.min(100, progress));
+
+    job.updated_at = new Date().toISOString();
+    if (this.isFinished(job)) job.finished_at = Date.now();
+
+    this.emit(`job:${job.job_id}`, this.getSnapshot(job));
+  }
+
+  /**
+   * Parse a file in a worker thread
+   * @param {String} filePath - Path to the uploaded file
+   * @param {Object} parseOptions - Parser options ({ sheets, layoutProfile })
+   * @param {Object} sessionTypeRules - Session type rules config to classify with
+   * @param {Function} onProgress - Receives the parser's { stage, progress, sheet, day } updates
+   * @returns {Promise<Object>} Parse result
+   */
+  parseInWorker(filePath, parseOptions, sessionTypeRules, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.workerPath, {
+        workerData: { filePath, parseOptions, sessionTypeRules }
+      });
+      let settled = false;
+
+      worker.on('message', message => {
+        if (message.type === 'progress') {
+          onProgress(message.progress);
+        } else if (message.type === 'result') {
+          settled = true;
+          resolve(message.result);
+        } else if (message.type === 'error') {
+          settled = true;
+          const error = new Error(message.message);
+          if (message.status) error.status = message.status;
+          reject(error);
+        }
+      });
+      worker.on('error', error => {
+        settled = true;
+        reject(error);
+      });
+      worker.on('exit', code => {
+        if (!settled) reject(new Error(`Parse worker stopped with exit code ${code}`));
+      });
+    });
+  }
+
+  /**
+   * Drop finished jobs older than jobTtlMs
+   */
+  removeExpiredJobs() {
+    const now = Date.now();
+    for (const [jobId, job] of this.jobs) {
+      if (job.finished_at && now - job.finished_at > this.jobTtlMs) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = ParseJobService;
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Room Service - recognises room references in block cells and turns them into structured rooms
+ * Rooms are configured in config/rooms.json:
+ * - buildings: building code prefixes ("C501" → building C, floor 5, number 01)
+ * - labs: keywords for lab rooms ("Lab 3", "معمل 2")
+ * - room_keywords: generic Arabic/English room words ("مدرج 1", "قاعة 5")
+ * - named_rooms: rooms known by name, with aliases
+ * - virtual: keywords for online sessions ("online", "عن بعد")
+ */
+class RoomService {
+  constructor(config = null) {
+    this.roomTypes = ['classroom', 'lab', 'hall', 'virtual'];
+    this.defaultConfigPath = path.join(__dirname, '../config/rooms.json');
+
+    if (config) {
+      this.loadConfig(config);
+    } else {
+      this.loadRoomsFromFile(process.env.ROOMS_CONFIG_PATH || this.defaultConfigPath);
+    }
+  }
+
+  /**
+   * Load rooms from a JSON config file
+   * @param {String} filePath - Path to the JSON config
+   */
+  loadRoomsFromFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.loadConfig(config);
+    console.log(`🏫 Loaded ${this.buildings.size} building codes from ${path.basename(filePath)}`);
+  }
+
+  /**
+   * Validate and apply a rooms config
+   * @param {Object} config - { buildings, labs, room_keywords, named_rooms, virtual }
+   */
+  loadConfig(config) {
+    if (!config || !Array.isArray(config.buildings)) {
+      throw new Error('Rooms config must contain a "buildings" array');
+    }
+
+    const buildings = new Map();
+    for (const building of config.buildings) {
+      if (!/^[A-Z]{1,3}$/.test(building.code || '')) {
+        throw new Error(`Invalid building code "${building.code}" (expected 1-3 capital letters)`);
+      }
+      buildings.set(building.code, { floor_digits: 1, ...building });
+    }
+
+    const namedRooms = (config.named_rooms || []).map((room, index) => {
+      if (room.type && !this.roomTypes.includes(room.type)) {
+        throw new Error(`Named room ${room.code || index}: invalid room type "${room.type}"`);
+      }
+      return {
+        ...room,
+        regex: this.keywordRegex([room.name, ...(room.aliases || [])].filter(Boolean))
+      };
+    });
+
+    const roomKeywords = (config.room_keywords || []).map(({ keyword, type }) => {
+      if (!this.roomTypes.includes(type)) {
+        throw new Error(`Room keyword "${keyword}": invalid room type "${type}"`);
+      }
+      return { keyword, type, regex: this.keywordRegex([keyword], true) };
+    });
+
+    // Longest codes first so "AB101" is not read as building "A"
+    const codes = [...buildings.keys()].sort((a, b) => b.length - a.length);
+
+    this.config = config;
+    this.buildings = buildings;
+    this.namedRooms = namedRooms;
+    this.roomKeywords = roomKeywords;
+    this.buildingRoomPattern = codes.length > 0
+      ? new RegExp(`(?<![A-Za-z])(${codes.join('|')})-?(\\d{3,4})(?!\\d)`)
+      : null;
+    this.labPattern = this.keywordRegex((config.labs && config.labs.keywords) || [], true);
+    this.virtualPattern = this.keywordRegex((config.virtual && config.virtual.keywords) || []);
+  }
+
+  /**
+   * Build a case-insensitive regex matching any keyword as a whole word
+   * Arabic keywords may carry the definite article ("المعمل") and letters with common spelling
+   * variants (alef/hamza, ta marbuta, alef maqsura) match either form
+   * @param {Array} keywords - Keywords to match
+   * @param {Boolean} withNumber - Capture an optional room number after the keyword
+   * @returns {RegExp|null}
+   */
+  keywordRegex(keywords, withNumber = false) {
+    if (keywords.length === 0) return null;
+
+    const alternatives = [...keywords]
+      .sort((a, b) => b.length - a.length)
+      .map(keyword => keyword
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/[اأإآ]/g, '[اأإآ]')
+        .replace(/[ةه]/g, '[ةه]')
+        .replace(/[ىي]/g, '[ىي]')
+        .replace(/\s+/g, '\\s+'));
+
+    const numberPart = withNumber ? '(?:\\s*(?:no\\.?|رقم|#))?\\s*(\\d+)?' : '';
+    return new RegExp(
+      `(?<![A-Za-z\\u0621-\\u064A])(?:ال)?(${alternatives.join('|')})${numberPart}(?![A-Za-z\\u0621-\\u064A])`,
+      'i'
+    );
+  }
+
+  /**
+   * Find a room reference inside cell text
+   * @param {String} text - Cell text (may also hold other information such as the instructor)
+   * @returns {Object|null} { room, matchedText } where matchedText is the part of the cell naming the room
+   */
+  findRoom(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const virtualMatch = this.virtualPattern && value.match(this.virtualPattern);
+    if (virtualMatch) {
+      return {
+        matchedText: virtualMatch[0],
+        room: this.createRoom({ raw: virtualMatch[0], code: 'ONLINE', name: virtualMatch[0], type: 'virtual' })
+      };
+    }
+
+    for (const namedRoom of this.namedRooms) {
+      const namedMatch = value.match(namedRoom.regex);
+      if (namedMatch) {
+        return {
+          matchedText: namedMatch[0],
+          room: this.createRoom({
+            raw: namedMatch[0],
+            code: namedRoom.code || namedRoom.name,
+            name: namedRoom.name,
+            building: namedRoom.building || null,
+            floor: namedRoom.floor ?? null,
+            type: namedRoom.type || 'classroom'
+          })
+        };
+      }
+    }
+
+    const buildingMatch = this.buildingRoomPattern && value.match(this.buildingRoomPattern);
+    if (buildingMatch) {
+      const [matchedText, buildingCode, digits] = buildingMatch;
+      const building = this.buildings.get(buildingCode);
+      return {
+        matchedText,
+        room: this.createRoom({
+          raw: matchedText,
+          code: `${buildingCode}${digits}`,
+          building: buildingCode,
+          building_name: building.name || null,
+          floor: parseInt(digits.slice(0, building.floor_digits), 10),
+          number: digits.slice(building.floor_digits),
+          type: building.type || 'classroom'
+        })
+      };
+    }
+
+    const labMatch = this.labPattern && value.match(this.labPattern);
+    if (labMatch) {
+      const [matchedText, , number] = labMatch;
+      return {
+        matchedText,
+        room: this.createRoom({
+          raw: matchedText,
+          code: number ? `Lab ${number}` : matchedText,
+          name: matchedText,
+          number: number || null,
+          type: 'lab'
+        })
+      };
+    }
+
+    for (const { type, regex } of this.roomKeywords) {
+      const keywordMatch = value.match(regex);
+      if (keywordMatch) {
+        const [matchedText, keyword, number] = keywordMatch;
+        return {
+          matchedText,
+          room: this.createRoom({
+            raw: matchedText,
+            code: number ? `${keyword} ${number}` : matchedText,
+            name: matchedText,
+            number: number || null,
+            type
+          })
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse cell text into a structured room
+   * @returns {Object|null} Structured room (see createRoom)
+   */
+  parseRoom(text) {
+    const found = this.findRoom(text);
+    return found ? found.room : null;
+  }
+
+  /**
+   * Create a structured room with every field present
+   */
+  createRoom({ raw, code, name = null, building = null, building_name = null, floor = null, number = null, type }) {
+    return { raw, code, name, building, building_name, floor, number, type };
+  }
+
+  /**
+   * Build an index of every room and the sessions held in it
+   * Entries of a shared block (one per group) are merged into a single session
+   * @param {Array} scheduleEntries - Parser schedule entries with a `room_details` object
+   * @returns {Array} Index records sorted by room code
+   */
+  buildRoomIndex(scheduleEntries) {
+    const index = new Map();
+
+    for (const entry of scheduleEntries) {
+      const room = entry.room_details;
+      if (!room) continue;
+
+      if (!index.has(room.code)) {
+        const { raw, ...details } = room;
+        index.set(room.code, { ...details, sessions: new Map() });
+      }
+
+      const record = index.get(room.code);
+      const sessionKey = entry.block_id || `${entry.course_code}-${entry.day_of_week}-${entry.start_time}`;
+      if (!record.sessions.has(sessionKey)) {
+        record.sessions.set(sessionKey, {
+          course_code: entry.course_code,
+          group_codes: [],
+          day_of_week: entry.day_of_week,
+          start_time: entry.start_time,
+          span: entry.span,
+          session_type: entry.session_type,
+          sheet_name: entry.sheet_name
+        });
+      }
+      record.sessions.get(sessionKey).group_codes.push(entry.group_code);
+    }
+
+    return Array.from(index.values())
+      .map(record => ({
+        ...record,
+        sessions: Array.from(record.sessions.values()),
+        session_count: record.sessions.size
+      }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * Get the active rooms config
+   */
+  getConfig() {
+    return this.config;
+  }
+}
+
+module.exports = RoomService;
@@ -1,15 +1,34 @@
-const { ScheduleCandidate } = require('../models');
+const { ScheduleCandidate, UserRequest } = require('../models');
+const { recurrencesOverlap } = require('../utils/recurrence');
+const InstructorService = require('./InstructorService');
 
 /**
  * Personalized Weekly Schedule Generator Service
  * Builds weekly schedules based on user's course selection with exact positioning
+ * (generatePersonalizedSchedule), and ranked alternative schedule candidates (generateSchedules)
  */
 class ScheduleGeneratorService {
   constructor() {
     this.maxCandidates = 10;
+    
+    // Group search of the personalized generator gives up after this many placements
+    this.maxSearchSteps = 100000;
+    this.maxExplainedClashes = 20;
     this.timeSlots = 8;
     this.days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     
+    // Fixed points of the candidate ranking, per unit of each measure
+    this.rankingPoints = {
+      courses: 100,          // per included course
+      requested_courses: 50, // per requested course included
+      credit_usage: 30,      // × share of max_credits used
+      omitted_courses: -20,  // per omitted course
+      preferred_groups: 25   // per group matching group_preferences
+    };
+    // A soft preference met in full is worth its weight (0-10) × preferencePoints
+    this.preferencePoints = 10;
+    this.instructorService = new InstructorService();
+    
     // True span values for validation
     this.trueSpanValues = {
       'EEC 101': 3, // 2 lecture + 1 lab
@@ -21,7 +40,7 @@ class ScheduleGeneratorService {
       'EEC 284': 4, // 2 lecture + 2 lab
     };
 
-    // Time slot mapping
+    // Default time slot mapping, used when the parse result's slot layout is not supplied
     this.timeSlotMap = [
       '9.00 - 9.45',
       '9.45 - 10.30', 
@@ -45,10 +64,27 @@ class ScheduleGeneratorService {
     try {
       console.log('🏗️ Generating personalized weekly schedule...');
       
-      // Parse user course selection with smart group selection
-      const courseSelection = this.parseUserCourseSelection(userRequest, courseGroups);
+      // Parse user course selection; explicitly requested groups are fixed
+      const courseSelection = this.parseUserCourseSelection(userRequest);
       console.log('📚 User course selection:', courseSelection);
       
+      // Credits and prerequisites come from the catalog sheet when the workbook has one
+      const request = userRequest instanceof UserRequest ? userRequest : new UserRequest(userRequest);
+      this.attachCatalogInfo(courseSelection, courseGroups, request);
+      
+      // Pick a group for every other course so that no two courses clash
+      const timeSlots = this.resolveTimeSlots(options);
+      const groupAssignment = this.assignConflictFreeGroups(courseSelection, courseGroups, timeSlots, request);
+      if (!groupAssignment.success) {
+        return {
+          success: false,
+          error: groupAssignment.explanation.message,
+          validation_errors: [groupAssignment.explanation.message],
+          conflict_explanation: groupAssignment.explanation,
+          schedule: null
+        };
+      }
+      
       // Validate course span requirements
       const spanValidation = this.validateCourseSpans(courseSelection, courseGroups);
       if (!spanValidation.isValid) {
@@ -60,8 +96,8 @@ class ScheduleGeneratorService {
         };
       }
       
-      // Build the weekly schedule table
-      const weeklySchedule = this.buildWeeklyScheduleTable(courseSelection, courseGroups);
+      // Build the weekly schedule table using the slot layout detected by the parser
+      const weeklySchedule = this.buildWeeklyScheduleTable(courseSelection, courseGroups, timeSlots);
       
       // Validate no conflicts exist
       const conflictValidation = this.validateNoConflicts(weeklySchedule);
@@ -76,7 +112,9 @@ class ScheduleGeneratorService {
           generation_metadata: {
             timestamp: new Date().toISOString(),
             total_courses: courseSelection.length,
-            total_spans: this.calculateTotalSpans(weeklySchedule)
+            total_spans: this.calculateTotalSpans(weeklySchedule),
+            total_credits: courseSelection.reduce((sum, selection) => sum + selection.credits, 0),
+            max_credits: request.max_credits
           }
         }
       };
@@ -92,19 +130,36 @@ class ScheduleGeneratorService {
   }
 
   /**
-   * Parse user course selection into structured format with smart group selection
+   * Resolve the time slot list for a generation request
+   * @param {Object} options - Generation options; accepts the parser's `slot_layout` or a plain `time_slots` array
+   * @returns {Array} Time slot strings (e.g. "9.00 - 9.45") in column order
+   */
+  resolveTimeSlots(options = {}) {
+    if (options.slot_layout?.slots?.length > 0) {
+      return options.slot_layout.slots.map(slot => slot.time);
+    }
+    
+    if (Array.isArray(options.time_slots) && options.time_slots.length > 0) {
+      return options.time_slots;
+    }
+    
+    return this.timeSlotMap;
+  }
+
+  /**
+   * Parse user course selection into structured format
+   * Courses requested without a group get group_number null until assignConflictFreeGroups picks one
    * @param {Object} userRequest - Contains desired_courses array
-   * @param {Array} courseGroups - Available course groups from Excel (needed for smart selection)
-   * @returns {Array} Parsed course selection with codes and groups
+   * @returns {Array} Parsed course selection with codes, groups and whether the group was requested
    */
-  parseUserCourseSelection(userRequest, courseGroups = []) {
+  parseUserCourseSelection(userRequest) {
     const courseSelection = [];
     
     for (const courseInput of userRequest.desired_courses || []) {
       // Handle different input formats:
-      // 1. "EEC 101" (course code only, smart group selection)
-      // 2. "EEC 10105" (course code + group number)
-      // 3. {code: "EEC 101", group: "05"} (object format)
+      // 1. "EEC 101" (course code only, group chosen by the generator)
+      // 2. "EEC 10105" (course code + fixed group number)
+      // 3. {code: "EEC 101", group: "05"} (object format, group optional)
       
       let courseCode, groupNumber;
       
@@ -114,21 +169,21 @@ class ScheduleGeneratorService {
         if (match) {
           const [, dept, courseNum, group] = match;
           courseCode = `${dept} ${courseNum}`;
-          groupNumber = group || this.selectSmartGroup(courseCode, courseGroups);
+          groupNumber = group;
         } else {
           // Simple course code (e.g., "EEC 101")
           courseCode = courseInput.trim();
-          groupNumber = this.selectSmartGroup(courseCode, courseGroups);
         }
-      } else if (typeof courseInput === 'object') {
+      } else if (courseInput && typeof courseInput === 'object') {
         courseCode = courseInput.code;
-        groupNumber = courseInput.group || this.selectSmartGroup(courseCode, courseGroups);
+        groupNumber = courseInput.group;
       }
       
-      if (courseCode && groupNumber) {
+      if (courseCode) {
         courseSelection.push({
           course_code: courseCode,
-          group_number: groupNumber.padStart(2, '0'),
+          group_number: groupNumber ? String(groupNumber).padStart(2, '0') : null,
+          group_fixed: Boolean(groupNumber),
           original_input: courseInput
         });
       }
@@ -138,36 +193,371 @@ class ScheduleGeneratorService {
   }
 
   /**
-   * Smart group selection - finds the best available group for a course
-   * @param {String} courseCode - The course code (e.g., "EEC 101")
-   * @param {Array} courseGroups - Available course groups from Excel
-   * @returns {String} Selected group number or "01" as fallback
+   * Add credits and prerequisites to each selected course
+   * @param {Array} courseSelection - Parsed course selection (updated in place)
+   * @param {Array} courseGroups - Available course groups (carrying the parser's catalog records)
+   * @param {UserRequest} userRequest - Supplies per-course credit overrides
    */
-  selectSmartGroup(courseCode, courseGroups) {
-    // Find all available groups for this course
-    const availableGroups = courseGroups
-      .filter(g => g.course_code === courseCode)
-      .map(g => g.group_code)
-      .filter(g => g) // Remove null/undefined groups
-      .sort(); // Sort numerically
+  attachCatalogInfo(courseSelection, courseGroups, userRequest) {
+    for (const selection of courseSelection) {
+      const catalogRecord = courseGroups.find(g => g.course_code === selection.course_code)?.catalog || null;
+      
+      selection.credits = userRequest.getCourseCredits(selection.course_code, catalogRecord);
+      selection.prerequisites = catalogRecord?.prerequisites || [];
+      selection.catalog_source = catalogRecord?.source || 'default';
+    }
+    return courseSelection;
+  }
+
+  /**
+   * Choose a group for every selected course so that no two courses clash
+   * Fixed (explicitly requested) groups are kept; the other courses try their groups best preference
+   * score first (see scorePreferences), then in code order.
+   * Groups meeting in one of the student's blocked windows or breaking a hard instructor rule are never chosen.
+   * Courses or fixed groups missing from the timetable are left to validateCourseSpans to report.
+   * @param {Array} courseSelection - Parsed course selection (group_number set in place on success)
+   * @param {Array} courseGroups - Available course groups
+   * @param {Array} timeSlots - Time slot strings in column order
+   * @param {UserRequest} userRequest - Supplies the blocked windows, instructor rules and preferences
+   * @returns {Object} { success, explanation } where explanation describes why no assignment exists
+   */
+  assignConflictFreeGroups(courseSelection, courseGroups, timeSlots, userRequest = new UserRequest({})) {
+    const courses = courseSelection
+      .map(selection => ({ selection, options: this.getGroupOptions(selection, courseGroups, timeSlots, userRequest) }))
+      .filter(course => course.options.length > 0);
+    
+    // A course whose every group is ruled out (blocked window, hard instructor rule) cannot be taken at all
+    const isRuledOut = option => option.blocked_windows.length > 0 || option.instructor_violations.length > 0;
+    const blockedCourses = courses.filter(course => course.options.every(isRuledOut));
+    if (blockedCourses.length > 0) {
+      return { success: false, explanation: this.explainBlockedCourses(blockedCourses, timeSlots) };
+    }
+    courses.forEach(course => {
+      course.options = course.options
+        .filter(option => !isRuledOut(option))
+        .sort((a, b) => b.preference_score - a.preference_score);
+    });
+    
+    const search = this.searchConflictFreeAssignment(courses);
+    if (!search.assignment) {
+      return { success: false, explanation: this.explainNoConflictFreeAssignment(courses, search.limit_reached) };
+    }
     
-    console.log(`🎯 Smart group selection for ${courseCode}:`, availableGroups);
+    courses.forEach((course, index) => {
+      course.selection.group_number = search.assignment[index].group_code;
+      course.selection.instructors = search.assignment[index].instructors;
+    });
+    console.log(`✅ Conflict-free groups: ${courseSelection.map(s => `${s.course_code} ${s.group_number}`).join(', ')}`);
+    return { success: true, explanation: null };
+  }
+
+  /**
+   * List the groups a selected course may take, with the grid cells each one occupies
+   * @returns {Array} { course_code, group_code, instructors, blocked_windows, instructor_violations,
+   *   preference_score, cells: [{ day, start, end, recurrence, start_time, session_type }] }
+   */
+  getGroupOptions(selection, courseGroups, timeSlots, userRequest = new UserRequest({})) {
+    const groups = courseGroups
+      .filter(group => group.course_code === selection.course_code && group.group_code &&
+        (!selection.group_fixed || group.group_code === selection.group_number))
+      .sort((a, b) => a.group_code.localeCompare(b.group_code))
+      .map(group => this.toScheduleGroup(group, timeSlots));
+    const instructorViolations = this.findInstructorViolations(groups, userRequest);
+    
+    return groups
+      .map((group, index) => ({
+        course_code: group.course_code,
+        group_code: group.group_code,
+        instructors: group.instructors,
+        blocked_windows: this.findBlockedWindows(group, userRequest),
+        instructor_violations: instructorViolations[index],
+        preference_score: this.scorePreferences([group], userRequest, timeSlots.length).total,
+        cells: (group.sessions || [])
+          .map(session => ({ session, start: this.findTimeSlotIndex(session.start_time, timeSlots) }))
+          .filter(({ start }) => start !== -1)
+          .map(({ session, start }) => ({
+            day: session.day_of_week,
+            start,
+            end: start + (session.span || 1),
+            recurrence: session.recurrence || null,
+            start_time: session.start_time,
+            session_type: session.session_type
+          }))
+      }));
+  }
+
+  /**
+   * Find the first clash between two group options (same day, overlapping slots, overlapping weeks)
+   * @returns {Object|null} The two clashing cells, or null when the groups fit together
+   */
+  findClash(option1, option2) {
+    for (const cell1 of option1.cells) {
+      for (const cell2 of option2.cells) {
+        if (cell1.day === cell2.day && cell1.start < cell2.end && cell2.start < cell1.end &&
+            recurrencesOverlap(cell1.recurrence, cell2.recurrence)) {
+          return { cell1, cell2 };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Backtracking search for one group per course with no clashes
+   * The course with the fewest groups is placed first, and a group is dropped as soon as some
+   * course still to place has no group left that fits with it
+   * @param {Array} courses - { selection, options } per course
+   * @returns {Object} { assignment: option per course (same order) or null, limit_reached }
+   */
+  searchConflictFreeAssignment(courses) {
+    const order = courses.map((course, index) => index)
+      .sort((a, b) => courses[a].options.length - courses[b].options.length);
+    const chosen = new Array(courses.length).fill(null);
+    const fits = option => chosen.every(other => !other || !this.findClash(option, other));
+    let steps = 0;
+    
+    const place = depth => {
+      if (depth === order.length) return true;
+      
+      const index = order[depth];
+      for (const option of courses[index].options) {
+        if (++steps > this.maxSearchSteps) return false;
+        if (!fits(option)) continue;
+        
+        chosen[index] = option;
+        const remainingFit = order.slice(depth + 1).every(next => courses[next].options.some(fits));
+        if (remainingFit && place(depth + 1)) return true;
+        chosen[index] = null;
+      }
+      return false;
+    };
+    
+    const found = place(0);
+    return {
+      assignment: found ? chosen : null,
+      limit_reached: steps > this.maxSearchSteps
+    };
+  }
+
+  /**
+   * Explain why no conflict-free assignment exists
+   * Narrows the selection down to a smallest set of courses that still cannot be taken together
+   * and lists the clashes between their groups
+   * @returns {Object} { message, courses, fixed_groups, clashes, limit_reached }
+   */
+  explainNoConflictFreeAssignment(courses, limitReached = false) {
+    let conflictingCourses = courses;
+    if (!limitReached) {
+      for (const course of courses) {
+        const rest = conflictingCourses.filter(other => other !== course);
+        if (rest.length > 1 && !this.searchConflictFreeAssignment(rest).assignment) {
+          conflictingCourses = rest;
+        }
+      }
+    }
     
-    if (availableGroups.length === 0) {
-      console.log(`⚠️ No groups found for ${courseCode}, defaulting to "01"`);
-      return '01';
+    const clashes = [];
+    for (let i = 0; i < conflictingCourses.length; i++) {
+      for (let j = i + 1; j < conflictingCourses.length; j++) {
+        for (const option1 of conflictingCourses[i].options) {
+          for (const option2 of conflictingCourses[j].options) {
+            const clash = this.findClash(option1, option2);
+            if (!clash) continue;
+            clashes.push({
+              first: this.describeClashCell(option1, clash.cell1),
+              second: this.describeClashCell(option2, clash.cell2)
+            });
+          }
+        }
+      }
     }
     
-    // Prefer group "01" if available, otherwise take the first available group
-    if (availableGroups.includes('01')) {
-      console.log(`✅ Selected group "01" for ${courseCode}`);
-      return '01';
-    } else {
-      const selectedGroup = availableGroups[0];
-      console.log(`✅ Selected group "${selectedGroup}" for ${courseCode} (01 not available)`);
-      return selectedGroup;
+    const courseCodes = conflictingCourses.map(course => course.selection.course_code);
+    const fixedGroups = conflictingCourses
+      .filter(course => course.selection.group_fixed)
+      .map(course => `${course.selection.course_code}${course.selection.group_number}`);
+    
+    const message = limitReached
+      ? `No conflict-free combination of groups was found within ${this.maxSearchSteps} steps`
+      : `No conflict-free combination of groups exists for ${courseCodes.join(', ')}: every choice of their groups clashes` +
+        (fixedGroups.length > 0 ? ` (fixed groups: ${fixedGroups.join(', ')})` : '');
+    
+    return {
+      message,
+      courses: courseCodes,
+      fixed_groups: fixedGroups,
+      clashes: clashes.slice(0, this.maxExplainedClashes),
+      total_clashes: clashes.length,
+      limit_reached: limitReached
+    };
+  }
+
+  /**
+   * Explain why courses whose every group is ruled out cannot be taken
+   * @returns {Object} Same fields as explainNoConflictFreeAssignment (without clashes), plus
+   *   blocked_windows: [{ course_code, windows }] and instructor_rules: [{ course_code, rules }]
+   *   for the courses each kind of constraint rules out
+   */
+  explainBlockedCourses(blockedCourses, timeSlots) {
+    const reasons = blockedCourses.map(course => ({
+      course_code: course.selection.course_code,
+      windows: this.uniqueWindows(course.options.flatMap(option => option.blocked_windows))
+        .map(window => this.describeBlockedWindow(window, timeSlots)),
+      rules: [...new Set(course.options.flatMap(option => option.instructor_violations))]
+        .map(rule => this.describeInstructorRule(rule))
+    }));
+    const fixedGroups = blockedCourses
+      .filter(course => course.selection.group_fixed)
+      .map(course => `${course.selection.course_code}${course.selection.group_number}`);
+    
+    const message = reasons
+      .map(({ course_code, windows, rules }) => {
+        const constraint = [
+          windows.length > 0 && 'meets in a blocked window',
+          rules.length > 0 && 'breaks an instructor rule'
+        ].filter(Boolean).join(' or ');
+        const details = [...windows, ...rules].map(item => item.text).join('; ');
+        return `Every group of ${course_code} ${constraint} (${details})`;
+      })
+      .join('. ');
+    
+    return {
+      message,
+      courses: reasons.map(course => course.course_code),
+      fixed_groups: fixedGroups,
+      clashes: [],
+      total_clashes: 0,
+      limit_reached: false,
+      blocked_windows: reasons
+        .filter(course => course.windows.length > 0)
+        .map(({ course_code, windows }) => ({ course_code, windows })),
+      instructor_rules: reasons
+        .filter(course => course.rules.length > 0)
+        .map(({ course_code, rules }) => ({ course_code, rules }))
+    };
+  }
+
+  /**
+   * Find the student's blocked windows that a group meets in
+   * @param {Object} group - Group with Session model fields (see toScheduleGroup)
+   * @returns {Array} Blocked windows hit by at least one of its sessions
+   */
+  findBlockedWindows(group, userRequest) {
+    if (userRequest.blocked_windows.length === 0) return [];
+    
+    return this.uniqueWindows(group.sessions
+      .filter(session => !session.synthetic)
+      .flatMap(session => userRequest.getBlockingWindows(session.day, session.slot, session.span)));
+  }
+
+  /**
+   * Find the hard instructor rules each group of a course breaks
+   * An "avoid" rule rules out the groups the instructor teaches; a "prefer" rule rules out the
+   * others. A global "prefer" rule only applies to courses the instructor teaches a group of.
+   * @param {Array} groups - Groups of one course
+   * @returns {Array} Broken rules, one list per group
+   */
+  findInstructorViolations(groups, userRequest) {
+    if (groups.length === 0) return [];
+    
+    const rules = userRequest.getInstructorRules(groups[0].course_code, { hard: true });
+    const taughtBy = groups.map(group => rules.map(rule => this.isTaughtBy(group, rule.instructor)));
+    const applicableRules = rules.filter((rule, ruleIndex) =>
+      rule.mode === 'avoid' || rule.course_code !== null || taughtBy.some(taught => taught[ruleIndex])
+    );
+    
+    return taughtBy.map(taught => applicableRules.filter(rule => {
+      const teaches = taught[rules.indexOf(rule)];
+      return rule.mode === 'avoid' ? teaches : !teaches;
+    }));
+  }
+
+  /**
+   * Check whether an instructor teaches a session of a group
+   * The student may type the name with an academic title ("د. محمد يوسف"); sessions store it
+   * without one, so the name is parsed like an instructor cell and compared normalized
+   */
+  isTaughtBy(group, instructorName) {
+    const name = this.instructorService.parseInstructors(instructorName)[0]?.normalized_name;
+    if (!name) return false;
+    return (group.sessions || []).some(session =>
+      !session.synthetic && (session.instructors || []).some(instructor => instructor.normalized_name === name)
+    );
+  }
+
+  /**
+   * Instructors teaching a group's sessions, without repeats
+   * @returns {Array} { id, title, name }
+   */
+  getGroupInstructors(group) {
+    const instructors = new Map();
+    for (const session of group.sessions || []) {
+      if (session.synthetic) continue;
+      for (const instructor of session.instructors || []) {
+        if (!instructors.has(instructor.id)) {
+          instructors.set(instructor.id, { id: instructor.id, title: instructor.title, name: instructor.name });
+        }
+      }
     }
-  }  /**
+    return [...instructors.values()];
+  }
+
+  /**
+   * Instructor rule as reported to the client
+   * @returns {Object} { instructor, course_code, mode, hard, text }
+   */
+  describeInstructorRule(rule) {
+    const scope = rule.course_code ? ` for ${rule.course_code}` : '';
+    return {
+      ...rule,
+      text: `${rule.mode === 'avoid' ? 'never' : 'only'} ${rule.instructor}${scope}`
+    };
+  }
+
+  /**
+   * Remove repeated windows, keeping the student's order
+   */
+  uniqueWindows(windows) {
+    return [...new Set(windows)];
+  }
+
+  /**
+   * Blocked window as reported to the client, with its time range in the timetable's slot layout
+   * @returns {Object} { day, from_slot, to_slot, label, time_range, text } (time_range is null for a whole day)
+   */
+  describeBlockedWindow(window, timeSlots) {
+    const wholeDay = window.from_slot === null && window.to_slot === null;
+    const fromSlot = window.from_slot ?? 1;
+    const toSlot = Math.min(window.to_slot ?? timeSlots.length, timeSlots.length);
+    const timeRange = wholeDay || fromSlot > timeSlots.length
+      ? null
+      : `${timeSlots[fromSlot - 1].split(' - ')[0]} - ${timeSlots[toSlot - 1].split(' - ')[1]}`;
+    
+    return {
+      day: window.day,
+      from_slot: window.from_slot,
+      to_slot: window.to_slot,
+      label: window.label,
+      time_range: timeRange,
+      text: window.label || `${window.day} ${timeRange || 'all day'}`
+    };
+  }
+
+  /**
+   * Clash side shown in the conflict explanation
+   */
+  describeClashCell(option, cell) {
+    return {
+      course_code: option.course_code,
+      group_code: option.group_code,
+      day_of_week: cell.day,
+      start_time: cell.start_time,
+      span: cell.end - cell.start,
+      session_type: cell.session_type
+    };
+  }
+
+  /**
    * Validate that each course has the correct number of spans
    * @param {Array} courseSelection - Parsed course selection
    * @param {Array} courseGroups - Available course groups from Excel
@@ -197,7 +587,9 @@ class ScheduleGeneratorService {
       const selectedGroup = courseGroupsForCode.find(g => g.group_code === group_number);
       if (!selectedGroup) {
         validation.isValid = false;
-        validation.errors.push(`Group ${group_number} not found for course ${course_code}`);
+        validation.errors.push(group_number
+          ? `Group ${group_number} not found for course ${course_code}`
+          : `No numbered groups found for course ${course_code}`);
         continue;
       }
       
@@ -225,47 +617,50 @@ class ScheduleGeneratorService {
   }
 
   /**
-   * Generate a single schedule candidate using backtracking
+   * Generate a single schedule candidate
+   * Courses are added in a shuffled order (for variety), each with the group that fits and was
+   * used least by earlier candidates, best score first
+   * @param {Array} availableGroups - { course_code, credits, groups } per course
+   * @param {Number} slotCount - Number of time slots per day
+   * @param {Map} groupUses - "course_code|group_code" → number of earlier candidates using the group
    */
-  generateScheduleCandidate(availableGroups, userRequest, candidateId) {
+  generateScheduleCandidate(availableGroups, userRequest, candidateId, slotCount = this.timeSlots, groupUses = new Map()) {
     const candidate = new ScheduleCandidate({ id: candidateId });
-    const timeGrid = this.createEmptyTimeGrid();
+    const timeGrid = this.createEmptyTimeGrid(slotCount);
     
     // Shuffle courses for variety
     const shuffledGroups = this.shuffleArray([...availableGroups]);
     
     for (const courseOption of shuffledGroups) {
+      if (candidate.total_credits + courseOption.credits > userRequest.max_credits) {
+        candidate.omitted_courses.push({
+          course_code: courseOption.course_code,
+          reason: 'credit_limit',
+          credits: courseOption.credits
+        });
+        continue;
+      }
+      
       const selectedGroup = this.selectBestGroup(
         courseOption.groups, 
         timeGrid, 
         userRequest,
-        candidate
+        candidate,
+        groupUses
       );
       
       if (selectedGroup) {
-        const conflicts = this.checkConflicts(selectedGroup, timeGrid);
-        
-        if (conflicts.length === 0) {
-          // Add group to candidate
-          candidate.addGroup(selectedGroup, courseOption.credits);
-          this.addGroupToTimeGrid(selectedGroup, timeGrid);
-          
-          // Check credit limit
-          if (candidate.total_credits >= userRequest.max_credits) {
-            break;
-          }
-        } else {
-          // Track omitted course
-          candidate.omitted_courses.push({
-            course_code: courseOption.course_code,
-            reason: 'time_conflict',
-            conflicts: conflicts
-          });
-        }
+        candidate.addGroup(selectedGroup, courseOption.credits);
+        this.addGroupToTimeGrid(selectedGroup, timeGrid);
       } else {
+        // Every group clashes with a course already in the candidate
+        const blockingCourses = courseOption.groups.flatMap(group =>
+          this.checkConflicts(group, timeGrid).map(conflict => conflict.existing_session.course_code)
+        );
         candidate.omitted_courses.push({
           course_code: courseOption.course_code,
-          reason: 'no_suitable_group'
+          reason: 'time_conflict',
+          conflicts_with: [...new Set(blockingCourses)].sort()
         });
       }
     }
@@ -275,16 +670,19 @@ class ScheduleGeneratorService {
 
   /**
    * Select the best group from available options
+   * Groups used by fewer earlier candidates come first so that attempts differ in more than the
+   * course order; among equally used groups the best score wins
    */
-  selectBestGroup(groups, timeGrid, userRequest, candidate) {
+  selectBestGroup(groups, timeGrid, userRequest, candidate, groupUses = new Map()) {
     // Score each group
     const scoredGroups = groups.map(group => ({
       group,
+      uses: groupUses.get(`${group.course_code}|${group.group_code}`) || 0,
       score: this.scoreGroup(group, timeGrid, userRequest, candidate)
     }));
     
-    // Sort by score and select the best one that fits
-    scoredGroups.sort((a, b) => b.score - a.score);
+    // Sort by use and score and select the first one that fits
+    scoredGroups.sort((a, b) => a.uses - b.uses || b.score - a.score);
     
     for (const { group } of scoredGroups) {
       const conflicts = this.checkConflicts(group, timeGrid);
@@ -297,54 +695,46 @@ class ScheduleGeneratorService {
   }
 
   /**
-   * Score a group based on various criteria
+   * Score a group for a candidate: the preference score the candidate would have with it,
+   * plus the bonus for the student's preferred group
    */
   scoreGroup(group, timeGrid, userRequest, candidate) {
-    let score = 100; // Base score
+    let score = this.scorePreferences(
+      [...candidate.selected_groups, group],
+      userRequest,
+      timeGrid[0]?.length || this.timeSlots
+    ).total;
     
-    // Prefer groups with fewer conflicts
-    const conflicts = this.checkConflicts(group, timeGrid);
-    score -= conflicts.length * 50;
-    
-    // Prefer groups that match user preferences
-    const preferredGroup = userRequest.getPreferredGroup(group.course_code);
-    if (preferredGroup === group.group_code) {
-      score += 30;
+    if (userRequest.getPreferredGroup(group.course_code) === group.group_code) {
+      score += this.rankingPoints.preferred_groups;
     }
     
-    // Prefer groups with good time distribution
-    const timeDistribution = this.calculateTimeDistribution(group);
-    score += timeDistribution * 10;
-    
-    // Prefer groups with fewer total sessions (more efficient)
-    score += (10 - group.sessions.length) * 2;
-    
-    // Prefer groups that create fewer gaps in the schedule
-    score -= this.calculateGapPenalty(group, timeGrid) * 5;
-    
-    return Math.max(0, score);
+    return score;
   }
 
   /**
    * Check for conflicts between a group and existing time grid
+   * Grid cells hold every session placed in them; sessions in alternating weeks may share a cell
    */
   checkConflicts(group, timeGrid) {
     const conflicts = [];
     
     for (const session of group.sessions) {
-      if (session.synthetic) continue; // Skip synthetic sessions
+      if (session.synthetic || !session.slot) continue; // Skip synthetic and off-grid sessions
       
       const dayIndex = this.days.indexOf(session.day);
       if (dayIndex === -1) continue;
       
       for (let slot = session.slot; slot < session.slot + session.span; slot++) {
-        if (slot < 1 || slot > this.timeSlots) continue;
+        if (slot < 1 || slot > timeGrid[dayIndex].length) continue;
         
-        if (timeGrid[dayIndex][slot - 1]) {
+        for (const existing of timeGrid[dayIndex][slot - 1] || []) {
+          if (!recurrencesOverlap(existing.session.recurrence, session.recurrence)) continue;
+          
           conflicts.push({
             day: session.day,
             slot: slot,
-            existing_session: timeGrid[dayIndex][slot - 1],
+            existing_session: existing,
             conflicting_session: session
           });
         }
@@ -359,60 +749,29 @@ class ScheduleGeneratorService {
    */
   addGroupToTimeGrid(group, timeGrid) {
     for (const session of group.sessions) {
-      if (session.synthetic) continue;
+      if (session.synthetic || !session.slot) continue;
       
       const dayIndex = this.days.indexOf(session.day);
       if (dayIndex === -1) continue;
       
       for (let slot = session.slot; slot < session.slot + session.span; slot++) {
-        if (slot >= 1 && slot <= this.timeSlots) {
-          timeGrid[dayIndex][slot - 1] = {
+        if (slot >= 1 && slot <= timeGrid[dayIndex].length) {
+          if (!timeGrid[dayIndex][slot - 1]) timeGrid[dayIndex][slot - 1] = [];
+          timeGrid[dayIndex][slot - 1].push({
             course_code: group.course_code,
             group_code: group.group_code,
             session: session
-          };
+          });
         }
       }
     }
   }
 
   /**
-   * Create empty time grid (5 days x 8 slots)
-   */
-  createEmptyTimeGrid() {
-    return Array(5).fill(null).map(() => Array(8).fill(null));
-  }
-
-  /**
-   * Calculate time distribution score for a group
+   * Create empty time grid (one row per day in this.days, one cell per time slot)
    */
-  calculateTimeDistribution(group) {
-    const dayCount = new Set(group.sessions.map(s => s.day)).size;
-    const maxDays = Math.min(this.days.length, group.sessions.length);
-    return dayCount / maxDays; // Prefer spread across days
-  }
-
-  /**
-   * Calculate gap penalty for a group
-   */
-  calculateGapPenalty(group, timeGrid) {
-    let penalty = 0;
-    
-    for (const session of group.sessions) {
-      if (session.synthetic) continue;
-      
-      const dayIndex = this.days.indexOf(session.day);
-      if (dayIndex === -1) continue;
-      
-      // Check for gaps before and after this session
-      const before = session.slot - 1;
-      const after = session.slot + session.span;
-      
-      if (before >= 1 && !timeGrid[dayIndex][before - 1]) penalty += 0.5;
-      if (after <= this.timeSlots && !timeGrid[dayIndex][after - 1]) penalty += 0.5;
-    }
-    
-    return penalty;
+  createEmptyTimeGrid(slotCount = this.timeSlots) {
+    return this.days.map(() => Array(slotCount).fill(null));
   }
 
   /**
@@ -433,56 +792,125 @@ class ScheduleGeneratorService {
 
   /**
    * Calculate overall score for a candidate
+   * @param {Array} requestedCourses - Requested course codes (defaults to userRequest.desired_courses)
+   * @param {Number} slotCount - Number of time slots per day
+   * @returns {Object} { total, breakdown } where breakdown lists { criterion, kind, value, weight, points }:
+   *   'ranking' items count courses and credits with fixed weights (rankingPoints), 'preference'
+   *   items are the student's weighted soft preferences (see scorePreferences)
    */
-  calculateScore(candidate, userRequest) {
-    let score = 0;
+  calculateScore(candidate, userRequest, requestedCourses = userRequest.desired_courses, slotCount = this.timeSlots) {
+    const includedCourses = new Set(candidate.selected_groups.map(g => g.course_code));
+    const measures = {
+      courses: candidate.selected_groups.length,
+      requested_courses: [...new Set(requestedCourses)].filter(c => includedCourses.has(c)).length,
+      credit_usage: candidate.total_credits / userRequest.max_credits,
+      omitted_courses: candidate.omitted_courses.length,
+      preferred_groups: candidate.selected_groups
+        .filter(group => userRequest.getPreferredGroup(group.course_code) === group.group_code).length
+    };
     
-    // Base score from number of courses included
-    score += candidate.selected_groups.length * 100;
+    const ranking = Object.entries(this.rankingPoints).map(([criterion, weight]) => ({
+      criterion,
+      kind: 'ranking',
+      value: this.roundScore(measures[criterion]),
+      weight,
+      points: measures[criterion] * weight
+    }));
+    const preferences = this.scorePreferences(candidate.selected_groups, userRequest, slotCount);
     
-    // Bonus for fulfilling desired courses
-    const includedCourses = new Set(candidate.selected_groups.map(g => g.course_code));
-    const desiredCourses = new Set(userRequest.desired_courses);
-    const fulfilledCourses = [...desiredCourses].filter(c => includedCourses.has(c));
-    score += fulfilledCourses.length * 50;
-    
-    // Bonus for efficient credit usage
-    const creditEfficiency = candidate.total_credits / userRequest.max_credits;
-    score += creditEfficiency * 30;
-    
-    // Penalty for omitted courses
-    score -= candidate.omitted_courses.length * 20;
-    
-    // Bonus for preferred groups
-    for (const group of candidate.selected_groups) {
-      const preferred = userRequest.getPreferredGroup(group.course_code);
-      if (preferred === group.group_code) {
-        score += 25;
-      }
-    }
+    const breakdown = [...ranking, ...preferences.breakdown];
+    return {
+      total: Math.round(breakdown.reduce((sum, item) => sum + item.points, 0)),
+      breakdown: breakdown.map(item => ({ ...item, points: this.roundScore(item.points) }))
+    };
+  }
+
+  /**
+   * Score groups against the student's weighted soft preferences
+   * Each criterion is measured from 0 (not met) to 1 (fully met) and earns
+   * value × weight × preferencePoints; criteria with weight 0 are left out, and so is
+   * instructors while the student has no soft instructor rule
+   * @param {Array} groups - Groups with Session model fields (see toScheduleGroup)
+   * @param {Number} slotCount - Number of time slots per day
+   * @returns {Object} { total, breakdown: [{ criterion, kind: 'preference', value, weight, points }] }
+   */
+  scorePreferences(groups, userRequest, slotCount = this.timeSlots) {
+    const measures = this.measurePreferences(groups, userRequest, slotCount);
+    const hasSoftInstructorRules = userRequest.instructor_preferences.some(rule => !rule.hard);
     
-    // Time distribution bonus
-    const allSessions = candidate.getAllSessions().filter(s => !s.synthetic);
-    const dayDistribution = this.calculateDayDistribution(allSessions);
-    score += dayDistribution * 15;
+    const breakdown = UserRequest.preferenceCriteria
+      .filter(criterion => userRequest.getPreferenceWeight(criterion) > 0)
+      .filter(criterion => criterion !== 'instructors' || hasSoftInstructorRules)
+      .map(criterion => {
+        const weight = userRequest.getPreferenceWeight(criterion);
+        return {
+          criterion,
+          kind: 'preference',
+          value: this.roundScore(measures[criterion]),
+          weight,
+          points: measures[criterion] * weight * this.preferencePoints
+        };
+      });
     
-    return Math.round(score);
+    return { total: breakdown.reduce((sum, item) => sum + item.points, 0), breakdown };
   }
 
   /**
-   * Calculate day distribution score
+   * Measure how well groups meet each soft preference, from 0 to 1 (see the exception for instructors)
+   * - fewer_days: 1 for a single day on campus, 0 for every day of the week
+   * - fewer_gaps: share of the time between each day's first and last session spent in class
+   * - mornings / afternoons: share of class slots in the first / second half of the day
+   * - instructors: share of the groups with soft instructor rules that follow them; a group taught
+   *   by an avoided instructor counts against, so the measure drops to -1 when every group does
+   * - balanced_load: lightest day's slots over the busiest day's
    */
-  calculateDayDistribution(sessions) {
-    if (sessions.length === 0) return 0;
+  measurePreferences(groups, userRequest, slotCount = this.timeSlots) {
+    const measures = Object.fromEntries(UserRequest.preferenceCriteria.map(criterion => [criterion, 0]));
+    const realSessions = groups.flatMap(group => group.sessions || []).filter(session => !session.synthetic);
+    
+    const ruledGroups = groups
+      .map(group => ({ group, rules: userRequest.getInstructorRules(group.course_code, { hard: false }) }))
+      .filter(({ rules }) => rules.length > 0);
+    if (ruledGroups.length > 0) {
+      const followed = ruledGroups.reduce((sum, { group, rules }) => {
+        if (rules.some(rule => rule.mode === 'avoid' && this.isTaughtBy(group, rule.instructor))) return sum - 1;
+        if (rules.some(rule => rule.mode === 'prefer' && this.isTaughtBy(group, rule.instructor))) return sum + 1;
+        return sum;
+      }, 0);
+      measures.instructors = followed / ruledGroups.length;
+    }
+    
+    // Occupied slots per day (sessions outside the slot layout have no place in the day)
+    const slotsByDay = new Map();
+    for (const session of realSessions) {
+      if (!session.slot) continue;
+      if (!slotsByDay.has(session.day)) slotsByDay.set(session.day, new Set());
+      for (let slot = session.slot; slot < session.slot + (session.span || 1); slot++) {
+        slotsByDay.get(session.day).add(slot);
+      }
+    }
+    if (slotsByDay.size === 0) return measures;
     
-    const daysUsed = new Set(sessions.map(s => s.day)).size;
-    const avgSessionsPerDay = sessions.length / daysUsed;
+    const days = [...slotsByDay.values()].map(slots => [...slots]);
+    const loads = days.map(slots => slots.length);
+    const occupied = loads.reduce((sum, load) => sum + load, 0);
+    const gaps = days.reduce((sum, slots) => sum + Math.max(...slots) - Math.min(...slots) + 1 - slots.length, 0);
+    const morningSlots = days.flat().filter(slot => slot <= slotCount / 2).length;
     
-    // Prefer even distribution (not too many sessions per day)
-    if (avgSessionsPerDay <= 3) return 10;
-    if (avgSessionsPerDay <= 4) return 7;
-    if (avgSessionsPerDay <= 5) return 4;
-    return 0;
+    measures.fewer_days = (this.days.length - days.length) / (this.days.length - 1);
+    measures.fewer_gaps = occupied / (occupied + gaps);
+    measures.mornings = morningSlots / occupied;
+    measures.afternoons = 1 - measures.mornings;
+    measures.balanced_load = Math.min(...loads) / Math.max(...loads);
+    
+    return measures;
+  }
+
+  /**
+   * Round a score figure to two decimals for reporting
+   */
+  roundScore(value) {
+    return Math.round(value * 100) / 100;
   }
 
   /**
@@ -599,22 +1027,23 @@ class ScheduleGeneratorService {
    * Build the weekly schedule table with exact positioning
    * @param {Array} courseSelection - User's selected courses and groups
    * @param {Array} courseGroups - All available course groups
+   * @param {Array} timeSlots - Time slot strings in column order (see resolveTimeSlots)
    * @returns {Object} Weekly schedule table
    */
-  buildWeeklyScheduleTable(courseSelection, courseGroups) {
+  buildWeeklyScheduleTable(courseSelection, courseGroups, timeSlots = this.timeSlotMap) {
     // Initialize empty weekly table
     const weeklyTable = {
       structure: {
         days: this.days,
-        time_slots: this.timeSlotMap,
-        total_cells: this.days.length * this.timeSlots
+        time_slots: timeSlots,
+        total_cells: this.days.length * timeSlots.length
       },
       schedule: {}
     };
     
     // Initialize empty schedule grid
     for (const day of this.days) {
-      weeklyTable.schedule[day] = new Array(this.timeSlots).fill(null);
+      weeklyTable.schedule[day] = new Array(timeSlots.length).fill(null);
     }
     
     // Place each selected course in its exact Excel position
@@ -633,21 +1062,29 @@ class ScheduleGeneratorService {
       // Place all sessions for this group
       for (const session of selectedGroup.sessions) {
         const dayIndex = this.days.indexOf(session.day_of_week);
-        const timeSlotIndex = this.findTimeSlotIndex(session.start_time);
+        const timeSlotIndex = this.findTimeSlotIndex(session.start_time, timeSlots);
         
         if (dayIndex !== -1 && timeSlotIndex !== -1) {
           const courseBlock = this.createCourseBlock(session, selectedGroup, courseGroups);
           
-          // Handle span placement
+          // Handle span placement; a cell that is already taken keeps its block and lists the
+          // newcomer under overlapping_blocks (alternating-week sessions legitimately share cells)
           for (let span = 0; span < session.span; span++) {
             const slotIndex = timeSlotIndex + span;
-            if (slotIndex < this.timeSlots) {
-              weeklyTable.schedule[this.days[dayIndex]][slotIndex] = {
+            if (slotIndex < timeSlots.length) {
+              const placedBlock = {
                 ...courseBlock,
                 is_continuation: span > 0,
                 span_position: span + 1,
                 total_span: session.span
               };
+              const daySchedule = weeklyTable.schedule[this.days[dayIndex]];
+              
+              if (daySchedule[slotIndex]) {
+                daySchedule[slotIndex].overlapping_blocks.push(placedBlock);
+              } else {
+                daySchedule[slotIndex] = { ...placedBlock, overlapping_blocks: [] };
+              }
             }
           }
         }
@@ -665,17 +1102,23 @@ class ScheduleGeneratorService {
    * @returns {Object} Course block structure
    */
   createCourseBlock(session, selectedGroup, courseGroups) {
-    // Find shared groups for this session
-    const sharedGroups = this.findSharedGroups(session, courseGroups);
+    // Find shared groups for this session; the parser records them directly on shared sessions
+    const sharedGroups = session.shared_groups?.length > 1
+      ? session.shared_groups
+      : this.findSharedGroups(session, courseGroups);
+    
+    // Keep the registrar's original group notation (e.g. "01-04") for display when available
+    const groupDisplay = sharedGroups.length > 0
+      ? (session.group_notation || sharedGroups.join(','))
+      : selectedGroup.group_code;
     
     return {
       // Row 1: Course Code + Group Number(s)
       row1_course_info: {
         course_code: selectedGroup.course_code,
         group_numbers: sharedGroups.length > 0 ? sharedGroups : [selectedGroup.group_code],
-        display_text: sharedGroups.length > 0 
-          ? `${selectedGroup.course_code} ${sharedGroups.join(',')}`
-          : `${selectedGroup.course_code} ${selectedGroup.group_code}`
+        group_notation: groupDisplay,
+        display_text: `${selectedGroup.course_code} ${groupDisplay}`
       },
       
       // Row 2: Course Name (Arabic)
@@ -691,13 +1134,27 @@ class ScheduleGeneratorService {
         display_text: [session.location, session.instructor].filter(Boolean).join(' - ')
       },
       
+      // Week pattern ("أسبوع فردي", "من الأسبوع 5"); empty label for every-week sessions
+      week_pattern: {
+        type: session.recurrence?.type || 'weekly',
+        display_text: session.recurrence?.label || ''
+      },
+      
       // Additional metadata
       session_metadata: {
         session_type: session.session_type,
         start_time: session.start_time,
         end_time: session.end_time,
         day_of_week: session.day_of_week,
-        original_span: session.span
+        original_span: session.span,
+        recurrence: session.recurrence || null
+      },
+      
+      // Where the session is written in the official spreadsheet (e.g. "2016 " C8:D10)
+      source: {
+        sheet_name: session.sheet_name || '',
+        range: session.range || '',
+        raw_rows: session.raw_rows || []
       }
     };
   }
@@ -731,22 +1188,11 @@ class ScheduleGeneratorService {
   /**
    * Find the time slot index for a given start time
    * @param {String} startTime - Start time (e.g., "9.00")
+   * @param {Array} timeSlots - Time slot strings in column order
    * @returns {Number} Time slot index or -1 if not found
    */
-  findTimeSlotIndex(startTime) {
-    // Map start times to slot indices
-    const timeMap = {
-      '9.00': 0,
-      '9.45': 1,
-      '10.40': 2,
-      '11.25': 3,
-      '12.20': 4,
-      '1.05': 5,
-      '2.00': 6,
-      '2.45': 7
-    };
-    
-    return timeMap[startTime] !== undefined ? timeMap[startTime] : -1;
+  findTimeSlotIndex(startTime, timeSlots = this.timeSlotMap) {
+    return timeSlots.findIndex(slot => slot.split(' - ')[0] === startTime);
   }
 
   /**
@@ -781,22 +1227,31 @@ class ScheduleGeneratorService {
    */
   validateNoConflicts(weeklyTable) {
     const conflicts = [];
+    const reportedPairs = new Set();
+    const slotCount = weeklyTable.structure.time_slots.length;
+    const blockKey = block => `${block.row1_course_info.display_text}|${block.session_metadata.start_time}`;
     
     for (const day of this.days) {
-      for (let slot = 0; slot < this.timeSlots; slot++) {
+      for (let slot = 0; slot < slotCount; slot++) {
         const cell = weeklyTable.schedule[day][slot];
-        if (cell && !cell.is_continuation) {
-          // Check for overlaps with other courses in this slot
-          for (let checkSlot = slot; checkSlot < slot + cell.total_span; checkSlot++) {
-            if (checkSlot !== slot && weeklyTable.schedule[day][checkSlot] && 
-                !weeklyTable.schedule[day][checkSlot].is_continuation) {
-              conflicts.push({
-                day,
-                time_slot: checkSlot,
-                course1: cell.row1_course_info.display_text,
-                course2: weeklyTable.schedule[day][checkSlot].row1_course_info.display_text
-              });
-            }
+        if (!cell) continue;
+        
+        // Every pair of blocks sharing this cell conflicts unless they meet in different weeks;
+        // a pair overlapping on several slots is reported once, at its first shared slot
+        const blocks = [cell, ...cell.overlapping_blocks];
+        for (let i = 0; i < blocks.length; i++) {
+          for (let j = i + 1; j < blocks.length; j++) {
+            const pairKey = `${day}|${blockKey(blocks[i])}|${blockKey(blocks[j])}`;
+            if (reportedPairs.has(pairKey)) continue;
+            if (!recurrencesOverlap(blocks[i].session_metadata.recurrence, blocks[j].session_metadata.recurrence)) continue;
+            
+            reportedPairs.add(pairKey);
+            conflicts.push({
+              day,
+              time_slot: slot,
+              course1: blocks[i].row1_course_info.display_text,
+              course2: blocks[j].row1_course_info.display_text
+            });
           }
         }
       }
@@ -816,12 +1271,15 @@ class ScheduleGeneratorService {
    */
   calculateTotalSpans(weeklyTable) {
     let totalSpans = 0;
+    const slotCount = weeklyTable.structure.time_slots.length;
     
     for (const day of this.days) {
-      for (let slot = 0; slot < this.timeSlots; slot++) {
+      for (let slot = 0; slot < slotCount; slot++) {
         const cell = weeklyTable.schedule[day][slot];
-        if (cell && !cell.is_continuation) {
-          totalSpans += cell.total_span;
+        if (!cell) continue;
+        
+        for (const block of [cell, ...cell.overlapping_blocks]) {
+          if (!block.is_continuation) totalSpans += block.total_span;
         }
       }
     }
@@ -830,10 +1288,149 @@ class ScheduleGeneratorService {
   }
 
   /**
-   * Legacy method for backward compatibility
+   * Generate distinct schedule candidates, best score first
+   * Every attempt adds the requested courses (all courses of the timetable when none are requested)
+   * in a shuffled order, each with the fitting group least used by earlier candidates (best score
+   * first, so the first attempt takes the best groups); courses that cannot be added
+   * are listed in the candidate's omitted_courses with the reason
+   * @param {Array} courseGroups - All available course groups from Excel parsing
+   * @param {Object} userRequest - desired_courses ("EEC 101", "EEC 10105" for a fixed group), max_credits,
+   *   blocked_windows, instructor_preferences, preferences ({ weights }), ...
+   * @param {Object} options - slot_layout / time_slots, max_candidates
+   * @returns {Object} { success, candidates, time_slots, generation_metadata }, or on failure
+   *   { success: false, error, omitted_courses, time_slots, candidates: [] }
    */
   async generateSchedules(courseGroups, userRequest, options = {}) {
-    return await this.generatePersonalizedSchedule(courseGroups, userRequest, options);
+    try {
+      const request = userRequest instanceof UserRequest ? userRequest : new UserRequest(userRequest);
+      const timeSlots = this.resolveTimeSlots(options);
+      const maxCandidates = Math.min(options.max_candidates || this.maxCandidates, this.maxCandidates);
+      
+      const courseSelection = request.desired_courses.length > 0
+        ? this.parseUserCourseSelection(request)
+        : [...new Set(courseGroups.map(group => group.course_code))].sort()
+          .map(course_code => ({ course_code, group_number: null, group_fixed: false }));
+      this.attachCatalogInfo(courseSelection, courseGroups, request);
+      
+      // Courses (or fixed groups) missing from the timetable are omitted from every candidate
+      const courseOptions = [];
+      const unavailableCourses = [];
+      for (const selection of courseSelection) {
+        const groups = courseGroups
+          .filter(group => group.course_code === selection.course_code && group.group_code &&
+            (!selection.group_fixed || group.group_code === selection.group_number))
+          .map(group => this.toScheduleGroup(group, timeSlots));
+        
+        // Blocked windows and hard instructor rules are hard constraints: groups breaking one are never offered
+        const blockedWindows = groups.map(group => this.findBlockedWindows(group, request));
+        const instructorViolations = this.findInstructorViolations(groups, request);
+        const openGroups = groups.filter((group, index) =>
+          blockedWindows[index].length === 0 && instructorViolations[index].length === 0);
+        
+        if (openGroups.length > 0) {
+          courseOptions.push({ course_code: selection.course_code, credits: selection.credits, groups: openGroups });
+        } else if (groups.length > 0) {
+          const windows = this.uniqueWindows(blockedWindows.flat());
+          const rules = [...new Set(instructorViolations.flat())];
+          unavailableCourses.push({
+            course_code: selection.course_code,
+            reason: blockedWindows.every(hits => hits.length > 0) ? 'blocked_window' : 'instructor_rule',
+            ...(windows.length > 0 && { blocked_windows: windows.map(window => this.describeBlockedWindow(window, timeSlots)) }),
+            ...(rules.length > 0 && { instructor_rules: rules.map(rule => this.describeInstructorRule(rule)) })
+          });
+        } else {
+          unavailableCourses.push({
+            course_code: selection.course_code,
+            reason: selection.group_fixed ? 'group_not_found' : 'not_in_timetable',
+            ...(selection.group_fixed && { group_code: selection.group_number })
+          });
+        }
+      }
+      
+      const requestedCourses = courseSelection.map(selection => selection.course_code);
+      const candidates = [];
+      const groupUses = new Map();
+      const maxAttempts = maxCandidates * 10;
+      let attempts = 0;
+      
+      while (candidates.length < maxCandidates && attempts < maxAttempts && courseOptions.length > 0) {
+        attempts++;
+        const candidate = this.generateScheduleCandidate(courseOptions, request, `candidate-${attempts}`, timeSlots.length, groupUses);
+        candidate.omitted_courses.push(...unavailableCourses);
+        
+        if (!this.isValidCandidate(candidate, request) || this.isDuplicateCandidate(candidate, candidates)) continue;
+        
+        for (const group of candidate.selected_groups) {
+          const key = `${group.course_code}|${group.group_code}`;
+          groupUses.set(key, (groupUses.get(key) || 0) + 1);
+        }
+        
+        const { total, breakdown } = this.calculateScore(candidate, request, requestedCourses, timeSlots.length);
+        candidate.score = total;
+        candidate.score_breakdown = breakdown;
+        candidates.push(candidate);
+      }
+      
+      candidates.sort((a, b) => b.score - a.score);
+      candidates.forEach((candidate, index) => { candidate.rank = index + 1; });
+      console.log(`🎲 ${candidates.length} distinct candidates from ${attempts} attempts`);
+      
+      if (candidates.length === 0) {
+        return {
+          success: false,
+          error: courseOptions.length === 0
+            ? 'None of the requested courses can be taken (missing from the timetable, inside blocked windows or ruled out by instructor rules)'
+            : 'No schedule fits the requested courses within the credit limit',
+          omitted_courses: unavailableCourses,
+          time_slots: timeSlots,
+          candidates: []
+        };
+      }
+      
+      return {
+        success: true,
+        candidates,
+        time_slots: timeSlots,
+        generation_metadata: {
+          timestamp: new Date().toISOString(),
+          requested_courses: requestedCourses,
+          max_credits: request.max_credits,
+          blocked_windows: request.blocked_windows.map(window => this.describeBlockedWindow(window, timeSlots)),
+          preferences: request.preferences,
+          instructor_preferences: request.instructor_preferences,
+          attempts,
+          total_candidates: candidates.length
+        }
+      };
+      
+    } catch (error) {
+      console.error('❌ Schedule generation error:', error);
+      return {
+        success: false,
+        error: error.message,
+        candidates: []
+      };
+    }
+  }
+
+  /**
+   * Copy a parsed course group with the Session model fields (day, 1-based slot, room, professor)
+   * used by the candidate search, the analysis and the exports, and the group's instructors
+   * Sessions outside the slot layout keep slot 0 and are left out of the time grid
+   */
+  toScheduleGroup(group, timeSlots) {
+    const scheduleGroup = {
+      ...group,
+      sessions: (group.sessions || []).map(session => ({
+        ...session,
+        day: session.day ?? session.day_of_week,
+        slot: session.slot ?? this.findTimeSlotIndex(session.start_time, timeSlots) + 1,
+        room: session.room ?? session.location ?? '',
+        professor: session.professor ?? session.instructor ?? ''
+      }))
+    };
+    scheduleGroup.instructors = this.getGroupInstructors(scheduleGroup);
+    return scheduleGroup;
   }
 }
 
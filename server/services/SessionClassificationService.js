@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session Classification Service - rules engine deciding the type of a parsed session
+ * Rules are evaluated in order and the first matching rule wins. Each rule may combine:
+ * - room_pattern: regular expression tested against the room (case-insensitive)
+ * - room_types: structured room types from the room parser (classroom, lab, hall, virtual)
+ * - name_keywords: any keyword found in the course name row
+ * - min_groups / max_groups: number of groups sharing the block
+ * - min_span / max_span: number of time slots the block covers
+ */
+class SessionClassificationService {
+  constructor(config = null) {
+    this.sessionTypes = ['lecture', 'lab', 'tutorial', 'unknown'];
+    this.defaultConfigPath = path.join(__dirname, '../config/session-type-rules.json');
+
+    if (config) {
+      this.loadConfig(config);
+    } else {
+      this.loadRulesFromFile(process.env.SESSION_TYPE_RULES_PATH || this.defaultConfigPath);
+    }
+  }
+
+  /**
+   * Load rules from a JSON config file
+   * @param {String} filePath - Path to the JSON config
+   */
+  loadRulesFromFile(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.loadConfig(config);
+    console.log(`📐 Loaded ${this.rules.length} session type rules from ${path.basename(filePath)}`);
+  }
+
+  /**
+   * Validate and apply a rules config
+   * @param {Object} config - { default_type, rules: [...] }
+   */
+  loadConfig(config) {
+    if (!config || !Array.isArray(config.rules)) {
+      throw new Error('Session type rules config must contain a "rules" array');
+    }
+
+    const defaultType = config.default_type || 'unknown';
+    if (!this.sessionTypes.includes(defaultType)) {
+      throw new Error(`Invalid default session type: ${defaultType}`);
+    }
+
+    const rules = config.rules.map((rule, index) => {
+      if (!this.sessionTypes.includes(rule.type)) {
+        throw new Error(`Rule ${rule.id || index}: invalid session type "${rule.type}"`);
+      }
+
+      return {
+        ...rule,
+        id: rule.id || `rule-${index + 1}`,
+        roomRegex: rule.room_pattern ? new RegExp(rule.room_pattern, 'i') : null,
+        keywords: (rule.name_keywords || []).map(keyword => keyword.toLowerCase())
+      };
+    });
+
+    this.config = config;
+    this.defaultType = defaultType;
+    this.rules = rules;
+  }
+
+  /**
+   * Classify a course block
+   * @param {Object} block - { courseName, room, roomType, groups, span }
+   * @returns {Object} { type, rule } where rule is the id of the matched rule (or 'default')
+   */
+  classify({ courseName = '', room = '', roomType = null, groups = [], span = 1 }) {
+    const name = courseName.toLowerCase();
+
+    for (const rule of this.rules) {
+      if (rule.roomRegex && !(room && rule.roomRegex.test(room))) continue;
+      if (rule.room_types && !rule.room_types.includes(roomType)) continue;
+      if (rule.keywords.length > 0 && !rule.keywords.some(keyword => name.includes(keyword))) continue;
+      if (rule.min_groups !== undefined && groups.length < rule.min_groups) continue;
+      if (rule.max_groups !== undefined && groups.length > rule.max_groups) continue;
+      if (rule.min_span !== undefined && span < rule.min_span) continue;
+      if (rule.max_span !== undefined && span > rule.max_span) continue;
+
+      return { type: rule.type, rule: rule.id };
+    }
+
+    return { type: this.defaultType, rule: 'default' };
+  }
+
+  /**
+   * Get the active rules config
+   */
+  getConfig() {
+    return this.config;
+  }
+}
+
+module.exports = SessionClassificationService;
@@ -0,0 +1,247 @@
+/**
+ * Timetable Diff Service - compares two versions of the parsed timetable
+ * Reports, per course group:
+ * - group_added / group_removed: groups present in only one version
+ * - session_moved: a session changed day or start time
+ * - span_changed, room_changed, instructor_changed: the session stayed but its details changed
+ * - session_added / session_removed: sessions with no counterpart in the other version
+ * Sessions are matched on day and start time first; the remaining ones are paired by session type
+ * (and room when possible) and reported as moved.
+ */
+class TimetableDiffService {
+  constructor() {
+    this.changeTypes = [
+      'group_added',
+      'group_removed',
+      'session_moved',
+      'span_changed',
+      'room_changed',
+      'instructor_changed',
+      'session_added',
+      'session_removed'
+    ];
+  }
+
+  /**
+   * Diff two parsed timetables
+   * @param {Object|Array} previous - Older parse result, API parse response or course_groups array
+   * @param {Object|Array} current - Newer parse result, API parse response or course_groups array
+   * @returns {Object} { changes, summary } with changes sorted by course and group
+   */
+  diffTimetables(previous, current) {
+    const previousGroups = this.indexGroups(this.extractCourseGroups(previous, 'previous'));
+    const currentGroups = this.indexGroups(this.extractCourseGroups(current, 'current'));
+    const changes = [];
+
+    for (const [key, group] of previousGroups) {
+      if (!currentGroups.has(key)) {
+        changes.push(this.createChange('group_removed', group, { before: this.summarizeGroup(group), after: null }));
+      }
+    }
+
+    for (const [key, group] of currentGroups) {
+      const previousGroup = previousGroups.get(key);
+      if (!previousGroup) {
+        changes.push(this.createChange('group_added', group, { before: null, after: this.summarizeGroup(group) }));
+        continue;
+      }
+      changes.push(...this.diffSessions(previousGroup, group));
+    }
+
+    changes.sort((a, b) =>
+      a.course_code.localeCompare(b.course_code) ||
+      a.group_code.localeCompare(b.group_code) ||
+      this.changeTypes.indexOf(a.type) - this.changeTypes.indexOf(b.type)
+    );
+
+    const summary = Object.fromEntries(this.changeTypes.map(type => [type, 0]));
+    for (const change of changes) summary[change.type]++;
+
+    return {
+      has_changes: changes.length > 0,
+      changes,
+      summary: {
+        ...summary,
+        total_changes: changes.length,
+        groups_compared: new Set([...previousGroups.keys(), ...currentGroups.keys()]).size,
+        groups_changed: new Set(changes.map(change => `${change.course_code}-${change.group_code}`)).size
+      }
+    };
+  }
+
+  /**
+   * Get the course groups out of a parse result in any of the shapes the API hands out
+   */
+  extractCourseGroups(timetable, label) {
+    const groups = Array.isArray(timetable)
+      ? timetable
+      : timetable?.course_groups || timetable?.parsing?.course_groups || timetable?.data?.parsing?.course_groups;
+
+    if (!Array.isArray(groups)) {
+      throw new Error(`The ${label} timetable has no course groups`);
+    }
+    return groups;
+  }
+
+  /**
+   * Index course groups by "course-group" key
+   */
+  indexGroups(courseGroups) {
+    return new Map(courseGroups.map(group => [`${group.course_code}-${group.group_code}`, group]));
+  }
+
+  /**
+   * Compare the sessions of one course group across versions
+   * @returns {Array} Changes for this group
+   */
+  diffSessions(previousGroup, currentGroup) {
+    const changes = [];
+    const remainingPrevious = [...(previousGroup.sessions || [])];
+    const remainingCurrent = [...(currentGroup.sessions || [])];
+    const pairs = [
+      // Same day and start time: the same session, possibly with new details
+      ...this.pairSessions(remainingPrevious, remainingCurrent, (before, after) =>
+        before.day_of_week === after.day_of_week && before.start_time === after.start_time
+      ),
+      // The rest moved: pair by session type, preferring the same room
+      ...this.pairSessions(remainingPrevious, remainingCurrent, (before, after) =>
+        before.session_type === after.session_type
+      )
+    ];
+
+    for (const [before, after] of pairs) {
+      if (before.day_of_week !== after.day_of_week || before.start_time !== after.start_time) {
+        changes.push(this.createChange('session_moved', currentGroup, {
+          before: this.pick(before, ['day_of_week', 'start_time', 'end_time']),
+          after: this.pick(after, ['day_of_week', 'start_time', 'end_time']),
+          session: this.summarizeSession(after)
+        }));
+      }
+      if (before.span !== after.span) {
+        changes.push(this.createChange('span_changed', currentGroup, {
+          before: { span: before.span },
+          after: { span: after.span },
+          session: this.summarizeSession(after)
+        }));
+      }
+      if ((before.location || '') !== (after.location || '')) {
+        changes.push(this.createChange('room_changed', currentGroup, {
+          before: { location: before.location || '' },
+          after: { location: after.location || '' },
+          session: this.summarizeSession(after)
+        }));
+      }
+      if (this.instructorKey(before) !== this.instructorKey(after)) {
+        changes.push(this.createChange('instructor_changed', currentGroup, {
+          before: { instructor: before.instructor || '' },
+          after: { instructor: after.instructor || '' },
+          session: this.summarizeSession(after)
+        }));
+      }
+    }
+
+    for (const session of remainingPrevious) {
+      changes.push(this.createChange('session_removed', currentGroup, {
+        before: this.summarizeSession(session),
+        after: null
+      }));
+    }
+    for (const session of remainingCurrent) {
+      changes.push(this.createChange('session_added', currentGroup, {
+        before: null,
+        after: this.summarizeSession(session)
+      }));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Pair sessions of two versions, closest pairs first (most shared sheet, room, span and type)
+   * Paired sessions are removed from both lists
+   * @param {Function} canPair - (before, after) → whether the two sessions may be paired
+   * @returns {Array} [before, after] pairs
+   */
+  pairSessions(previousSessions, currentSessions, canPair) {
+    const candidates = [];
+    for (const before of previousSessions) {
+      for (const after of currentSessions) {
+        if (!canPair(before, after)) continue;
+        const score = ['sheet_name', 'location', 'span', 'session_type']
+          .filter(field => before[field] === after[field]).length;
+        candidates.push({ before, after, score });
+      }
+    }
+
+    // Stable sort keeps sheet order among equally close pairs
+    candidates.sort((a, b) => b.score - a.score);
+
+    const pairs = [];
+    for (const { before, after } of candidates) {
+      if (!previousSessions.includes(before) || !currentSessions.includes(after)) continue;
+      pairs.push([before, after]);
+      this.removeFrom(previousSessions, before);
+      this.removeFrom(currentSessions, after);
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Compare instructors by their parsed ids, so a changed title or spelling is not a change
+   */
+  instructorKey(session) {
+    if (Array.isArray(session.instructors) && session.instructors.length > 0) {
+      return session.instructors.map(instructor => instructor.id).sort().join('|');
+    }
+    return (session.instructor || '').trim();
+  }
+
+  /**
+   * Create a change record
+   */
+  createChange(type, group, details) {
+    return {
+      type,
+      course_code: group.course_code,
+      group_code: group.group_code,
+      course_name: group.course_name || '',
+      ...details
+    };
+  }
+
+  /**
+   * Session fields shown in the change log
+   */
+  summarizeSession(session) {
+    return this.pick(session, [
+      'day_of_week', 'start_time', 'end_time', 'span', 'session_type', 'location', 'instructor', 'sheet_name', 'range'
+    ]);
+  }
+
+  /**
+   * Group fields shown for added/removed groups
+   */
+  summarizeGroup(group) {
+    return {
+      course_name: group.course_name || '',
+      sessions: (group.sessions || []).map(session => this.summarizeSession(session))
+    };
+  }
+
+  /**
+   * Copy the listed fields of an object (missing fields become null)
+   */
+  pick(source, fields) {
+    return Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+  }
+
+  /**
+   * Remove one item from an array in place
+   */
+  removeFrom(list, item) {
+    list.splice(list.indexOf(item), 1);
+  }
+}
+
+module.exports = TimetableDiffService;
@@ -0,0 +1,185 @@
+const { recurrencesOverlap } = require('../utils/recurrence');
+
+/**
+ * Timetable Validation Service - checks the parsed master timetable for double bookings
+ * - room conflicts: one room holding two blocks at the same time (online sessions are skipped)
+ * - instructor conflicts: one instructor teaching two blocks at the same time
+ * Blocks are compared by day and clock time (taken from the slot layout, so sheets with different
+ * slot columns still line up) and must share at least one teaching week (see utils/recurrence).
+ * The same course listed twice at the same time and room (e.g. on two level sheets) is one session,
+ * not a conflict.
+ */
+class TimetableValidationService {
+  /**
+   * Validate a parsed timetable
+   * @param {Array} scheduleEntries - Parser schedule entries (one per group)
+   * @param {Object} options - Validation options
+   * @param {Object} options.slot_layout - Parser slot layout, used to turn slots into clock times
+   * @returns {Object} { valid, room_conflicts, instructor_conflicts, summary }
+   */
+  validateTimetable(scheduleEntries, options = {}) {
+    const blocks = this.collectBlocks(scheduleEntries, options.slot_layout);
+
+    const roomConflicts = this.findConflicts(
+      blocks,
+      block => (block.room_details && block.room_details.type !== 'virtual'
+        ? [{ id: block.room_details.code, name: block.room_details.code }]
+        : []),
+      'room'
+    );
+    const instructorConflicts = this.findConflicts(
+      blocks,
+      block => block.instructors.map(instructor => ({ id: instructor.id, name: instructor.name })),
+      'instructor'
+    );
+
+    return {
+      valid: roomConflicts.length === 0 && instructorConflicts.length === 0,
+      room_conflicts: roomConflicts,
+      instructor_conflicts: instructorConflicts,
+      summary: {
+        blocks_checked: blocks.length,
+        room_conflicts: roomConflicts.length,
+        instructor_conflicts: instructorConflicts.length
+      }
+    };
+  }
+
+  /**
+   * Merge the entries of each block (one entry per group) into a single block record
+   * @returns {Array} Blocks with their clock-time interval in minutes
+   */
+  collectBlocks(scheduleEntries, slotLayout = null) {
+    const blocks = new Map();
+
+    for (const entry of scheduleEntries) {
+      const key = entry.block_id || `${entry.sheet_name}|${entry.course_code}|${entry.day_of_week}|${entry.start_time}|${entry.location}`;
+      if (!blocks.has(key)) {
+        blocks.set(key, {
+          block_id: key,
+          sheet_name: entry.sheet_name,
+          course_code: entry.course_code,
+          group_codes: [],
+          day_of_week: entry.day_of_week,
+          start_time: entry.start_time,
+          time_slot: entry.time_slot,
+          span: entry.span,
+          location: entry.location,
+          range: entry.range || '',
+          room_details: entry.room_details || null,
+          instructor: entry.instructor,
+          instructors: entry.instructors || [],
+          recurrence: entry.recurrence || null,
+          interval: this.getBlockInterval(entry, slotLayout)
+        });
+      }
+      blocks.get(key).group_codes.push(entry.group_code);
+    }
+
+    return Array.from(blocks.values());
+  }
+
+  /**
+   * Find pairs of blocks using the same resource at overlapping times
+   * @param {Array} blocks - Blocks from collectBlocks
+   * @param {Function} getResources - Block → [{ id, name }] of the resources it uses
+   * @param {String} type - 'room' or 'instructor'
+   * @returns {Array} Conflicts, each naming the resource and both blocks
+   */
+  findConflicts(blocks, getResources, type) {
+    const byResource = new Map();
+
+    for (const block of blocks) {
+      for (const resource of getResources(block)) {
+        if (!byResource.has(resource.id)) byResource.set(resource.id, { resource, blocks: [] });
+        byResource.get(resource.id).blocks.push(block);
+      }
+    }
+
+    const conflicts = [];
+    for (const { resource, blocks: resourceBlocks } of byResource.values()) {
+      for (let i = 0; i < resourceBlocks.length; i++) {
+        for (let j = i + 1; j < resourceBlocks.length; j++) {
+          const first = resourceBlocks[i];
+          const second = resourceBlocks[j];
+          if (!this.blocksOverlap(first, second) || this.isSameSession(first, second)) continue;
+
+          conflicts.push({
+            type,
+            resource_id: resource.id,
+            resource_name: resource.name,
+            day_of_week: first.day_of_week,
+            start_time: first.interval.start <= second.interval.start ? second.start_time : first.start_time,
+            blocks: [this.summarizeBlock(first), this.summarizeBlock(second)]
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Check whether two blocks meet on the same day, at overlapping times, in a common week
+   */
+  blocksOverlap(first, second) {
+    if (first.day_of_week !== second.day_of_week) return false;
+    if (first.interval.end <= second.interval.start || second.interval.end <= first.interval.start) return false;
+    return recurrencesOverlap(first.recurrence, second.recurrence);
+  }
+
+  /**
+   * The same course at the same time in the same room is one session listed twice
+   */
+  isSameSession(first, second) {
+    return first.course_code === second.course_code &&
+      first.start_time === second.start_time &&
+      (first.location || '') === (second.location || '');
+  }
+
+  /**
+   * Get the [start, end) interval of a block
+   * Uses minutes since midnight when the sheet's slot times are known, otherwise slot numbers
+   */
+  getBlockInterval(entry, slotLayout) {
+    const sheetSlots = slotLayout?.sheets?.[entry.sheet_name]?.slots || slotLayout?.slots || [];
+    const firstSlot = sheetSlots.find(slot => slot.column === entry.time_slot);
+    const lastSlot = sheetSlots.find(slot => slot.column === entry.time_slot + entry.span - 1);
+
+    if (firstSlot && lastSlot) {
+      const [start] = firstSlot.time.split(' - ');
+      const [, end] = lastSlot.time.split(' - ');
+      return { start: this.toMinutes(start), end: this.toMinutes(end) };
+    }
+
+    return { start: entry.time_slot, end: entry.time_slot + entry.span };
+  }
+
+  /**
+   * Convert a timetable clock time ("9.45", "1.05") to minutes since midnight
+   * Hours before 8 are afternoon times written on a 12-hour clock
+   */
+  toMinutes(time) {
+    const [hours, minutes] = String(time).trim().split(/[.:]/).map(Number);
+    return ((hours < 8 ? hours + 12 : hours) * 60) + (minutes || 0);
+  }
+
+  /**
+   * Block fields shown in a conflict report
+   */
+  summarizeBlock(block) {
+    return {
+      block_id: block.block_id,
+      sheet_name: block.sheet_name,
+      range: block.range,
+      course_code: block.course_code,
+      group_codes: block.group_codes,
+      start_time: block.start_time,
+      span: block.span,
+      location: block.location,
+      instructor: block.instructor
+    };
+  }
+}
+
+module.exports = TimetableValidationService;
@@ -0,0 +1,136 @@
+const ScheduleGeneratorService = require('../services/ScheduleGeneratorService');
+const { createRecurrence } = require('../utils/recurrence');
+
+const timeSlots = ['8.00 - 8.50', '9.00 - 9.50', '10.00 - 10.50', '11.00 - 11.50'];
+
+const group = (course_code, group_code, ...sessions) => ({
+  course_code,
+  group_code,
+  sessions: sessions.map(([day_of_week, start_time, span = 1, recurrence = null]) => ({
+    day_of_week,
+    start_time,
+    span,
+    recurrence,
+    session_type: 'lecture'
+  }))
+});
+
+const select = (course_code, group_number = null) => ({
+  course_code,
+  group_number,
+  group_fixed: group_number !== null
+});
+
+describe('conflict-free group search', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ScheduleGeneratorService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('backtracks when an early choice leaves no room for later courses', () => {
+    const courseGroups = [
+      group('EEC 101', '01', ['Monday', '8.00']),
+      group('EEC 101', '02', ['Thursday', '8.00']),
+      ...['EEC 113', 'MTH 111', 'PHY 101'].flatMap(code => [
+        group(code, '01', ['Tuesday', '8.00']),
+        group(code, '02', ['Wednesday', '8.00'])
+      ]),
+      group('PHY 101', '03', ['Monday', '8.00'])
+    ];
+    const selection = [select('EEC 101'), select('EEC 113'), select('MTH 111'), select('PHY 101')];
+
+    const result = generator.assignConflictFreeGroups(selection, courseGroups, timeSlots);
+
+    expect(result).toEqual({ success: true, explanation: null });
+    expect(selection.map(s => s.group_number)).toEqual(['02', '01', '02', '03']);
+  });
+
+  test('places odd and even week sessions in the same slot', () => {
+    const courseGroups = [
+      group('EEC 101', '01', ['Sunday', '8.00', 1, createRecurrence({ type: 'odd' })]),
+      group('EEC 113', '01', ['Sunday', '8.00', 1, createRecurrence({ type: 'even' })])
+    ];
+    const selection = [select('EEC 101', '01'), select('EEC 113', '01')];
+
+    expect(generator.assignConflictFreeGroups(selection, courseGroups, timeSlots).success).toBe(true);
+  });
+
+  test('places sessions with disjoint week ranges in the same slot', () => {
+    const courseGroups = [
+      group('EEC 101', '01', ['Sunday', '8.00', 2, createRecurrence({ to_week: 7 })]),
+      group('EEC 113', '01', ['Sunday', '9.00', 1, createRecurrence({ from_week: 8 })])
+    ];
+    const selection = [select('EEC 101', '01'), select('EEC 113', '01')];
+
+    expect(generator.assignConflictFreeGroups(selection, courseGroups, timeSlots).success).toBe(true);
+  });
+
+  test('explains a clash between fixed groups', () => {
+    const courseGroups = [
+      group('EEC 101', '01', ['Sunday', '8.00', 2]),
+      group('EEC 101', '02', ['Monday', '8.00', 2]),
+      group('EEC 113', '01', ['Sunday', '9.00', 1, createRecurrence({ type: 'odd' })]),
+      group('MTH 111', '01', ['Tuesday', '8.00'])
+    ];
+    const selection = [select('EEC 101', '01'), select('EEC 113', '01'), select('MTH 111')];
+
+    const result = generator.assignConflictFreeGroups(selection, courseGroups, timeSlots);
+
+    expect(result.success).toBe(false);
+    expect(result.explanation).toEqual({
+      message: 'No conflict-free combination of groups exists for EEC 101, EEC 113: every choice of their groups clashes' +
+        ' (fixed groups: EEC 10101, EEC 11301)',
+      courses: ['EEC 101', 'EEC 113'],
+      fixed_groups: ['EEC 10101', 'EEC 11301'],
+      clashes: [{
+        first: { course_code: 'EEC 101', group_code: '01', day_of_week: 'Sunday', start_time: '8.00', span: 2, session_type: 'lecture' },
+        second: { course_code: 'EEC 113', group_code: '01', day_of_week: 'Sunday', start_time: '9.00', span: 1, session_type: 'lecture' }
+      }],
+      total_clashes: 1,
+      limit_reached: false
+    });
+  });
+
+  test('narrows the explanation to the courses that cannot be taken together', () => {
+    const courseGroups = [
+      group('EEC 101', '01', ['Sunday', '8.00']),
+      group('EEC 101', '02', ['Monday', '8.00']),
+      group('EEC 113', '01', ['Sunday', '8.00']),
+      group('EEC 113', '02', ['Monday', '8.00']),
+      group('MTH 111', '01', ['Sunday', '8.00']),
+      group('MTH 111', '02', ['Monday', '8.00']),
+      group('PHY 101', '01', ['Tuesday', '8.00'])
+    ];
+    const selection = [select('PHY 101'), select('EEC 101'), select('EEC 113'), select('MTH 111')];
+
+    const { success, explanation } = generator.assignConflictFreeGroups(selection, courseGroups, timeSlots);
+
+    expect(success).toBe(false);
+    expect(explanation.courses).toEqual(['EEC 101', 'EEC 113', 'MTH 111']);
+    expect(explanation.fixed_groups).toEqual([]);
+    expect(explanation.total_clashes).toBe(6);
+    expect(explanation.clashes).toHaveLength(6);
+  });
+
+  test('reports when the search gives up', () => {
+    generator.maxSearchSteps = 3;
+    const courseGroups = ['EEC 101', 'EEC 113', 'MTH 111'].flatMap(code => [
+      group(code, '01', ['Sunday', '8.00']),
+      group(code, '02', ['Monday', '8.00'])
+    ]);
+    const selection = [select('EEC 101'), select('EEC 113'), select('MTH 111')];
+
+    const { success, explanation } = generator.assignConflictFreeGroups(selection, courseGroups, timeSlots);
+
+    expect(success).toBe(false);
+    expect(explanation.limit_reached).toBe(true);
+    expect(explanation.message).toBe('No conflict-free combination of groups was found within 3 steps');
+    expect(explanation.courses).toEqual(['EEC 101', 'EEC 113', 'MTH 111']);
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const CourseCodeService = require('../services/CourseCodeService');
+const RoomService = require('../services/RoomService');
+const ExcelParserServiceFinal = require('../services/ExcelParserServiceFinal');
+
+describe('CourseCodeService.canonicalize', () => {
+  let courseCodes;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    courseCodes = new CourseCodeService({ roomService: new RoomService() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fixes case, spacing and lookalike digits', () => {
+    expect(courseCodes.canonicalize('eec101')).toEqual({ text: 'EEC 101', corrections: ['case', 'spacing'] });
+    expect(courseCodes.canonicalize('EEC 1O1 01').text).toBe('EEC 10101');
+  });
+
+  test('leaves room text alone', () => {
+    for (const text of ['Lab 301 د. أحمد علي', 'Hall 101']) {
+      expect(courseCodes.canonicalize(text)).toEqual({ text, corrections: [] });
+    }
+  });
+
+  test('only fixes the case of departments the timetable uses', () => {
+    courseCodes.learnDepartments(['EEC 10101', 'Electric Circuits', 'MTH 111']);
+
+    expect(courseCodes.canonicalize('Room 204')).toEqual({ text: 'Room 204', corrections: [] });
+    expect(courseCodes.canonicalize('mth 11102').text).toBe('MTH 11102');
+  });
+});
+
+describe('room rows of grid blocks', () => {
+  const filePath = path.join(os.tmpdir(), `course-codes-${process.pid}.xlsx`);
+
+  beforeAll(() => {
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      ['اليوم', '', '8.00 - 8.50', '9.00 - 9.50', '10.00 - 10.50', '11.00 - 11.50'],
+      ['الأحد', '', 'EEC 10101', ''],
+      ['', '', 'Electric Circuits', ''],
+      ['', '', 'Lab 301 د. أحمد علي', '']
+    ]);
+    worksheet['!merges'] = [1, 2, 3].map(r => ({ s: { r, c: 2 }, e: { r, c: 3 } }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
+    XLSX.writeFile(workbook, filePath);
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(filePath);
+  });
+
+  test('are read as the room and instructor rather than another course', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await new ExcelParserServiceFinal().parseExcelFile(filePath);
+    jest.restoreAllMocks();
+
+    expect(result.schedule_entries).toHaveLength(1);
+    expect(result.schedule_entries[0]).toMatchObject({
+      course_code: 'EEC 101',
+      group_code: '01',
+      range: 'C2:D4',
+      location: 'Lab 301',
+      instructor: 'د. أحمد علي'
+    });
+    expect(result.diagnostics.suspicious_codes).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const ExcelParserServiceFinal = require('../services/ExcelParserServiceFinal');
+
+const header = ['اليوم', '', '8.00 - 8.50', '9.00 - 9.50', '10.00 - 10.50', '11.00 - 11.50'];
+
+describe('parallel block report', () => {
+  const filePath = path.join(os.tmpdir(), `parallel-blocks-${process.pid}.xlsx`);
+  let result;
+
+  beforeAll(async () => {
+    // Two level grids on one sheet, each with its own slot header and Sunday band;
+    // the first level has two blocks stacked in the same slots
+    const worksheet = XLSX.utils.aoa_to_sheet([
+      header,
+      ['الأحد', '', 'EEC 10101', ''],
+      ['', '', 'Electric Circuits', ''],
+      ['', '', 'C401', ''],
+      ['', '', 'EEC 11301', ''],
+      ['', '', 'Electronics', ''],
+      ['', '', 'C402', ''],
+      [],
+      header,
+      ['الأحد', '', 'EEC 21301', ''],
+      ['', '', 'Signals', ''],
+      ['', '', 'C403', '']
+    ]);
+    worksheet['!merges'] = [1, 2, 3, 4, 5, 6, 9, 10, 11].map(r => ({ s: { r, c: 2 }, e: { r, c: 3 } }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
+    XLSX.writeFile(workbook, filePath);
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    result = await new ExcelParserServiceFinal().parseExcelFile(filePath);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(filePath);
+  });
+
+  test('counts stacked blocks within a day band only', () => {
+    const firstSlot = result.parallel_blocks.filter(cell => cell.time_slot === 1);
+
+    expect(firstSlot).toEqual([
+      expect.objectContaining({ day_of_week: 'Sunday', day_band: 'A2', block_count: 2, block_ids: ['Sheet1!C2', 'Sheet1!C5'] }),
+      expect.objectContaining({ day_of_week: 'Sunday', day_band: 'A10', block_count: 1, block_ids: ['Sheet1!C10'] })
+    ]);
+  });
+
+  test('numbers stacked blocks per day band', () => {
+    const parallelIndexes = Object.fromEntries(
+      result.schedule_entries.map(entry => [entry.course_code, entry.parallel_index])
+    );
+
+    expect(parallelIndexes).toEqual({ 'EEC 101': 0, 'EEC 113': 1, 'EEC 213': 0 });
+    expect(result.parsing_summary.stacked_block_entries).toBe(1);
+  });
+});
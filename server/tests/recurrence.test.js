@@ -0,0 +1,40 @@
+const { createRecurrence, recurrencesOverlap } = require('../utils/recurrence');
+
+describe('recurrencesOverlap', () => {
+  const weekly = createRecurrence();
+  const odd = createRecurrence({ type: 'odd' });
+  const even = createRecurrence({ type: 'even' });
+
+  test('treats a missing recurrence as every week', () => {
+    expect(recurrencesOverlap(null, undefined)).toBe(true);
+    expect(recurrencesOverlap(odd, null)).toBe(true);
+  });
+
+  test('alternating weeks never meet each other but meet weekly sessions', () => {
+    expect(recurrencesOverlap(odd, even)).toBe(false);
+    expect(recurrencesOverlap(even, odd)).toBe(false);
+    expect(recurrencesOverlap(odd, odd)).toBe(true);
+    expect(recurrencesOverlap(odd, weekly)).toBe(true);
+    expect(recurrencesOverlap(weekly, even)).toBe(true);
+  });
+
+  test('disjoint week ranges do not overlap', () => {
+    const firstHalf = createRecurrence({ from_week: 1, to_week: 7 });
+    const secondHalf = createRecurrence({ from_week: 8, to_week: 14 });
+    expect(recurrencesOverlap(firstHalf, secondHalf)).toBe(false);
+    expect(recurrencesOverlap(createRecurrence({ to_week: 5 }), createRecurrence({ from_week: 6 }))).toBe(false);
+  });
+
+  test('week ranges sharing a week overlap', () => {
+    const firstHalf = createRecurrence({ from_week: 1, to_week: 7 });
+    expect(recurrencesOverlap(firstHalf, createRecurrence({ from_week: 7 }))).toBe(true);
+    expect(recurrencesOverlap(firstHalf, weekly)).toBe(true);
+  });
+
+  test('a shared range needs a week of the common parity', () => {
+    const oddFromWeek4 = createRecurrence({ type: 'odd', from_week: 4 });
+    expect(recurrencesOverlap(oddFromWeek4, createRecurrence({ to_week: 4 }))).toBe(false);
+    expect(recurrencesOverlap(oddFromWeek4, createRecurrence({ to_week: 5 }))).toBe(true);
+    expect(recurrencesOverlap(createRecurrence({ type: 'even', to_week: 1 }), weekly)).toBe(false);
+  });
+});
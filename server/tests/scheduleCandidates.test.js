@@ -0,0 +1,58 @@
+const ScheduleGeneratorService = require('../services/ScheduleGeneratorService');
+const InstructorService = require('../services/InstructorService');
+
+const instructorService = new InstructorService();
+
+const timeSlots = ['8.00 - 8.50', '9.00 - 9.50', '10.00 - 10.50', '11.00 - 11.50'];
+const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday'];
+
+const courseGroups = ['01', '02', '03', '04'].map((group_code, index) => {
+  const instructor = group_code === '03' ? 'د. سامي حسن' : 'د. محمد محي';
+  return {
+    course_code: 'EEC 101',
+    group_code,
+    sessions: [{
+      day_of_week: days[index],
+      start_time: '8.00',
+      span: 2,
+      session_type: 'lecture',
+      instructor,
+      instructors: instructorService.parseInstructors(instructor)
+    }]
+  };
+});
+
+describe('schedule candidates', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ScheduleGeneratorService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const groupCodes = result => result.candidates.map(candidate => candidate.selected_groups[0].group_code);
+
+  test('offer every group that qualifies for a single course', async () => {
+    const result = await generator.generateSchedules(courseGroups, {
+      desired_courses: ['EEC 101'],
+      instructor_preferences: [{ instructor: 'محمد محي', course_code: null, mode: 'prefer', hard: true }]
+    }, { time_slots: timeSlots });
+
+    expect(result.success).toBe(true);
+    expect(groupCodes(result).sort()).toEqual(['01', '02', '04']);
+  });
+
+  test('rank the best-scoring group first', async () => {
+    const result = await generator.generateSchedules(courseGroups, {
+      desired_courses: ['EEC 101'],
+      instructor_preferences: [{ instructor: 'سامي حسن', course_code: 'EEC 101', mode: 'prefer', hard: false }]
+    }, { time_slots: timeSlots });
+
+    expect(result.candidates).toHaveLength(4);
+    expect(groupCodes(result)[0]).toBe('03');
+  });
+});
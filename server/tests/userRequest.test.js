@@ -0,0 +1,37 @@
+const { UserRequest } = require('../models');
+
+describe('UserRequest instructor rules', () => {
+  test('canonicalize the course code like the parser', () => {
+    const request = new UserRequest({
+      instructor_preferences: [
+        { instructor: 'د. محمد محي', course_code: 'eec101', mode: 'prefer', hard: true },
+        { instructor: 'د. سامي حسن', course_code: ' EEC  113 ', mode: 'avoid' }
+      ]
+    });
+
+    expect(request.instructor_preferences.map(rule => rule.course_code)).toEqual(['EEC 101', 'EEC 113']);
+    expect(request.getInstructorRules('EEC 101', { hard: true })).toHaveLength(1);
+  });
+
+  test('accept the preferred_instructors preference shape', () => {
+    const request = new UserRequest({
+      preferences: { weights: { preferred_instructors: 8, fewer_gaps: 1 }, preferred_instructors: ['د. محمد محي'] }
+    });
+
+    expect(request.getValidationErrors()).toEqual([]);
+    expect(request.getPreferenceWeight('instructors')).toBe(8);
+    expect(request.instructor_preferences).toEqual([
+      { instructor: 'د. محمد محي', course_code: null, mode: 'prefer', hard: false }
+    ]);
+  });
+});
+
+describe('UserRequest max_credits', () => {
+  test('must be a positive number', () => {
+    for (const max_credits of [0, -3, '18', NaN]) {
+      expect(new UserRequest({ max_credits }).getValidationErrors()).toEqual(['max_credits must be a positive number']);
+    }
+    expect(new UserRequest({ max_credits: 12 }).getValidationErrors()).toEqual([]);
+    expect(new UserRequest({}).getValidationErrors()).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Arabic text helpers shared by the parser services
+ */
+
+// Harakat, tanween, shadda, sukun and superscript alef
+const DIACRITICS_PATTERN = /[\u064B-\u065F\u0670]/g;
+const TATWEEL_PATTERN = /\u0640/g;
+
+// Zero-width characters, LRM/RLM, bidi embeddings/overrides/isolates and BOM
+const INVISIBLE_MARKS_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+/**
+ * Normalize a spreadsheet cell before pattern matching
+ * - Arabic-Indic (٠١٢) and Persian (۰۱۲) digits → Latin digits, Arabic decimal separator → '.'
+ * - tatweel and invisible RTL/LTR marks removed
+ * - non-breaking spaces → spaces, runs of spaces collapsed (line breaks are kept)
+ * Spelling is left untouched; compare words with foldArabic.
+ * @param {*} value - Cell value as returned by sheet_to_json
+ * @returns {String} Normalized text
+ */
+function normalizeCellText(value) {
+  return String(value ?? '')
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/\u066B/g, '.')
+    .replace(TATWEEL_PATTERN, '')
+    .replace(INVISIBLE_MARKS_PATTERN, '')
+    .replace(/[\u00A0\u2007\u202F\t ]+/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Fold Arabic spelling variants so the same word written two ways compares equal
+ * - alef with hamza/madda/wasla → bare alef
+ * - ta marbuta → ha, alef maqsura → ya
+ * - hamza on waw/ya → bare letter
+ * - diacritics and tatweel removed, whitespace collapsed
+ * Only use the folded text for matching and ids; keep the original text for display.
+ * @param {String} text - Arabic (or mixed) text
+ * @returns {String} Folded text
+ */
+function foldArabic(text) {
+  return String(text || '')
+    .replace(DIACRITICS_PATTERN, '')
+    .replace(TATWEEL_PATTERN, '')
+    .replace(/[\u0623\u0625\u0622\u0671]/g, '\u0627')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  foldArabic,
+  normalizeCellText
+};
@@ -0,0 +1,133 @@
+/**
+ * Week-pattern (recurrence) helpers shared by the parser and the schedule generator
+ * A recurrence describes which teaching weeks a session takes place in:
+ * - type: 'weekly' (every week), 'odd' or 'even' (alternating weeks)
+ * - from_week / to_week: optional first and last week (inclusive), null when open
+ * - label: the annotation as written in the cell ("أسبوع فردي", "من الأسبوع 5")
+ */
+
+// Annotations are matched on normalized cell text (Latin digits, no tatweel); letters with
+// common spelling variants (alef/hamza, ta marbuta, alef maqsura) match either form
+const WEEK_WORD = '(?:ال)?[اأإ]سبوع';
+const WEEKS_WORD = '(?:ال)?[اأإ]سابيع';
+
+const PARITY_PATTERNS = [
+  { type: 'odd', regex: new RegExp(`(?:${WEEK_WORD}|${WEEKS_WORD})\\s+(?:ال)?فرد[يى][ةه]?|\\bodd\\s+weeks?\\b`, 'i') },
+  { type: 'even', regex: new RegExp(`(?:${WEEK_WORD}|${WEEKS_WORD})\\s+(?:ال)?زوج[يى][ةه]?|\\beven\\s+weeks?\\b`, 'i') }
+];
+
+const RANGE_PATTERN = new RegExp(`(?:${WEEKS_WORD}|\\bweeks?)\\s*(\\d{1,2})\\s*[-–]\\s*(\\d{1,2})`, 'i');
+const FROM_PATTERN = new RegExp(`(?:(?:ابتداء|بدءا|بداية)\\s+)?من\\s+${WEEK_WORD}\\s*(\\d{1,2})|\\b(?:from|starting)\\s+week\\s*(\\d{1,2})`, 'i');
+const TO_PATTERN = new RegExp(`(?:حت[ىي]|[اإ]ل[ىي])\\s+${WEEK_WORD}\\s*(\\d{1,2})|\\b(?:until|till|to)\\s+week\\s*(\\d{1,2})`, 'i');
+
+/**
+ * Create a recurrence with every field present
+ */
+function createRecurrence({ type = 'weekly', from_week = null, to_week = null, label = '' } = {}) {
+  return { type, from_week, to_week, label };
+}
+
+/**
+ * Find a week-pattern annotation inside cell text
+ * @param {String} text - Normalized cell text (see normalizeCellText)
+ * @returns {Object|null} { recurrence, matchedTexts } where matchedTexts are the annotation parts of the cell
+ */
+function findRecurrence(text) {
+  const value = String(text || '');
+  if (!value.trim()) return null;
+
+  const fields = {};
+  const matchedTexts = [];
+
+  for (const { type, regex } of PARITY_PATTERNS) {
+    const match = value.match(regex);
+    if (match) {
+      fields.type = type;
+      matchedTexts.push(match[0]);
+      break;
+    }
+  }
+
+  const rangeMatch = value.match(RANGE_PATTERN);
+  if (rangeMatch) {
+    fields.from_week = parseInt(rangeMatch[1], 10);
+    fields.to_week = parseInt(rangeMatch[2], 10);
+    matchedTexts.push(rangeMatch[0]);
+  } else {
+    const fromMatch = value.match(FROM_PATTERN);
+    if (fromMatch) {
+      fields.from_week = parseInt(fromMatch[1] || fromMatch[2], 10);
+      matchedTexts.push(fromMatch[0]);
+    }
+    const toMatch = value.match(TO_PATTERN);
+    if (toMatch) {
+      fields.to_week = parseInt(toMatch[1] || toMatch[2], 10);
+      matchedTexts.push(toMatch[0]);
+    }
+  }
+
+  if (matchedTexts.length === 0) return null;
+
+  return {
+    recurrence: createRecurrence({ ...fields, label: matchedTexts.join(' ') }),
+    matchedTexts
+  };
+}
+
+/**
+ * Remove week-pattern annotations (and the brackets/dashes around them) from cell text
+ * @param {String} text - Normalized cell text
+ * @returns {String} Text without the annotation
+ */
+function stripRecurrenceText(text) {
+  const found = findRecurrence(text);
+  if (!found) return String(text || '');
+
+  let stripped = String(text);
+  for (const matchedText of found.matchedTexts) {
+    stripped = stripped.replace(matchedText, ' ');
+  }
+
+  return stripped
+    .replace(/[([]\s*[)\]]/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').replace(/^[\s\-–/،,]+|[\s\-–/،,]+$/g, ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Check whether two recurrences share at least one week
+ * Odd and even sessions never meet; week ranges must intersect and contain a week
+ * matching both parities
+ * @param {Object} a - First recurrence (missing means every week)
+ * @param {Object} b - Second recurrence (missing means every week)
+ */
+function recurrencesOverlap(a, b) {
+  const first = a || createRecurrence();
+  const second = b || createRecurrence();
+
+  const parities = [first.type, second.type].filter(type => type !== 'weekly');
+  if (new Set(parities).size > 1) return false;
+
+  const fromWeek = Math.max(first.from_week || 1, second.from_week || 1);
+  const toWeeks = [first.to_week, second.to_week].filter(week => week !== null);
+  const toWeek = toWeeks.length > 0 ? Math.min(...toWeeks) : Infinity;
+  if (fromWeek > toWeek) return false;
+
+  // A common parity needs a matching week inside the shared range
+  if (parities.length > 0 && toWeek !== Infinity) {
+    const parity = parities[0] === 'odd' ? 1 : 0;
+    const firstMatching = fromWeek % 2 === parity ? fromWeek : fromWeek + 1;
+    return firstMatching <= toWeek;
+  }
+
+  return true;
+}
+
+module.exports = {
+  createRecurrence,
+  findRecurrence,
+  stripRecurrenceText,
+  recurrencesOverlap
+};
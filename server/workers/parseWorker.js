@@ -0,0 +1,29 @@
+const { parentPort, workerData } = require('worker_threads');
+const ExcelParserServiceFinal = require('../services/ExcelParserServiceFinal');
+const SessionClassificationService = require('../services/SessionClassificationService');
+
+/**
+ * Parse worker - runs one timetable parse off the main thread (see ParseJobService)
+ * workerData: { filePath, parseOptions, sessionTypeRules }
+ * Posts { type: 'progress', progress } updates, then { type: 'result', result } or { type: 'error', message, status }
+ */
+async function run() {
+  const { filePath, parseOptions, sessionTypeRules } = workerData;
+
+  // Classify with the rules the server process loaded rather than reading the config file again
+  const parser = new ExcelParserServiceFinal({
+    sessionClassifier: sessionTypeRules ? new SessionClassificationService(sessionTypeRules) : undefined
+  });
+
+  const result = await parser.parseExcelFile(filePath, {
+    ...parseOptions,
+    onProgress: progress => parentPort.postMessage({ type: 'progress', progress })
+  });
+
+  parentPort.postMessage({ type: 'result', result });
+}
+
+run().catch(error => {
+  // Errors only cross the thread boundary as data, so send the HTTP status along (unset for server errors)
+  parentPort.postMessage({ type: 'error', message: error.message, status: error.status });
+});